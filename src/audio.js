@@ -0,0 +1,218 @@
+import fs from "fs/promises";
+import { createWriteStream } from "fs";
+import path from "path";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { uploadFile } from "./notion-client.js";
+
+// Optional audio archive: downloads each recording's audio into a local directory and
+// attaches it to the Notion page as an audio block via Notion's File Upload API.
+//
+// Files are named <YYYY-MM-DD>_<plaudId>.<ext>, so a title change never renames them.
+// Downloads go to "<YYYY-MM-DD>_<plaudId>.part" first and continue from where they stopped
+// (HTTP Range) on the next run; files over the size limit are skipped instead of failing the run.
+
+export const AUDIO_MODES = new Set(["off", "archive", "attach"]);
+export const DEFAULT_AUDIO_DIR = "plaud-audio";
+
+const CONTENT_TYPES = {
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  aac: "audio/aac",
+  wav: "audio/wav",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  opus: "audio/ogg",
+  webm: "audio/webm",
+};
+const EXTENSIONS_BY_TYPE = {
+  "audio/mpeg": "mp3",
+  "audio/mp3": "mp3",
+  "audio/mp4": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/aac": "aac",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/ogg": "ogg",
+  "audio/opus": "opus",
+  "audio/webm": "webm",
+};
+
+function audioError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+export function resolveAudioDir(value) {
+  return path.resolve(process.cwd(), String(value || DEFAULT_AUDIO_DIR).trim());
+}
+
+export function audioExtension(url, contentType = "") {
+  const fromType = EXTENSIONS_BY_TYPE[String(contentType).split(";")[0].trim().toLowerCase()];
+  if (fromType) return fromType;
+  try {
+    const ext = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+    if (CONTENT_TYPES[ext]) return ext;
+  } catch {
+    // Not a URL; fall through to the default.
+  }
+  return "mp3";
+}
+
+export function audioFileName(rec, ext = "mp3") {
+  const d = rec?.createdAt ? new Date(rec.createdAt) : null;
+  const date = d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : "undated";
+  const id = String(rec?.id || "unknown").replace(/[^\w.-]+/g, "_");
+  return `${date}_${id}.${ext}`;
+}
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Total size from Content-Range ("bytes 100-199/1234") or Content-Length.
+function expectedTotal(resp, offset) {
+  const range = resp.headers.get("content-range");
+  const m = range && range.match(/\/(\d+)\s*$/);
+  if (m) return Number(m[1]);
+  const length = Number(resp.headers.get("content-length"));
+  return Number.isFinite(length) && length > 0 ? offset + length : null;
+}
+
+function mb(bytes) {
+  return Math.round((bytes / (1024 * 1024)) * 10) / 10;
+}
+
+export function createAudioArchive({ dir, maxBytes, fetchImpl = globalThis.fetch } = {}) {
+  const tooLarge = (bytes) =>
+    audioError(`audio is ${mb(bytes)} MB, over the ${mb(maxBytes)} MB limit`, "AUDIO_TOO_LARGE");
+
+  // Returns { filePath, fileName, bytes, contentType, reused }.
+  async function download(rec, url) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const existing = await findArchived(rec);
+    if (existing) return { ...existing, reused: true };
+
+    // The part file has no audio extension yet; the response decides it.
+    const partPath = path.join(dir, audioFileName(rec, "part"));
+    const offset = (await fileSize(partPath)) || 0;
+
+    const resp = await fetchImpl(url, { headers: offset ? { range: `bytes=${offset}-` } : {} });
+    if (resp.status === 416 && offset) {
+      // The part file already holds everything the server has.
+      return finish(rec, partPath, audioExtension(url));
+    }
+    if (!resp.ok) throw audioError(`audio download failed: HTTP ${resp.status}`, "AUDIO_DOWNLOAD_FAILED");
+
+    const resumed = resp.status === 206 && offset > 0;
+    const start = resumed ? offset : 0;
+    const total = expectedTotal(resp, start);
+    if (maxBytes && total && total > maxBytes) {
+      await resp.body?.cancel();
+      throw tooLarge(total);
+    }
+    if (resumed) console.log(`Resuming audio download for ${rec.id} at ${start} bytes.`);
+
+    let written = start;
+    const limit = new Transform({
+      transform(chunk, _enc, cb) {
+        written += chunk.length;
+        if (maxBytes && written > maxBytes) cb(tooLarge(written));
+        else cb(null, chunk);
+      },
+    });
+    try {
+      await pipeline(Readable.fromWeb(resp.body), limit, createWriteStream(partPath, { flags: resumed ? "a" : "w" }));
+    } catch (err) {
+      // Keep a partial file for the next run unless it can never succeed.
+      if (err?.code === "AUDIO_TOO_LARGE") await fs.rm(partPath, { force: true });
+      throw err;
+    }
+
+    if (total && written < total) {
+      throw audioError(`audio download stopped at ${written} of ${total} bytes; it resumes next run`, "AUDIO_DOWNLOAD_FAILED");
+    }
+    return finish(rec, partPath, audioExtension(url, resp.headers.get("content-type")));
+  }
+
+  async function finish(rec, partPath, ext) {
+    const fileName = audioFileName(rec, ext);
+    const filePath = path.join(dir, fileName);
+    await fs.rename(partPath, filePath);
+    return { filePath, fileName, bytes: await fileSize(filePath), contentType: CONTENT_TYPES[ext], reused: false };
+  }
+
+  async function findArchived(rec) {
+    const prefix = audioFileName(rec, "");
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch {
+      return null;
+    }
+    const fileName = names.find((n) => n.startsWith(prefix) && !n.endsWith(".part"));
+    if (!fileName) return null;
+    const filePath = path.join(dir, fileName);
+    const ext = path.extname(fileName).slice(1);
+    return { filePath, fileName, bytes: await fileSize(filePath), contentType: CONTENT_TYPES[ext] || CONTENT_TYPES.mp3 };
+  }
+
+  return { dir, download, findArchived };
+}
+
+// Uploads a local audio file and appends it to the end of the page as an audio block.
+// Returns the new block id.
+export async function attachAudioToPage(notion, pageId, { filePath, fileName, contentType }) {
+  const upload = await uploadFile(notion, { data: await fs.readFile(filePath), fileName, contentType });
+  const resp = await notion.blocks.children.append({
+    block_id: pageId,
+    children: [{ object: "block", type: "audio", audio: { type: "file_upload", file_upload: { id: upload.id } } }],
+  });
+  return resp.results?.[0]?.id || null;
+}
+
+const DONE_STATUSES = {
+  archive: new Set(["archived", "attached", "too-large"]),
+  attach: new Set(["attached", "too-large"]),
+};
+
+// Per-recording audio step. `getAudioUrl(id)` comes from the Plaud API client; the returned
+// record is stored in the sync state so finished work is never repeated.
+export function createAudioSync(notion, { mode, dir, maxBytes, getAudioUrl }) {
+  const archive = createAudioArchive({ dir, maxBytes });
+
+  function needsAudio(prior) {
+    return Boolean(DONE_STATUSES[mode]) && !DONE_STATUSES[mode].has(prior?.audio?.status);
+  }
+
+  async function syncRecordingAudio(rec, pageId) {
+    let file = await archive.findArchived(rec);
+    if (!file) {
+      try {
+        file = await archive.download(rec, await getAudioUrl(rec.id));
+      } catch (err) {
+        if (err?.code !== "AUDIO_TOO_LARGE") throw err;
+        console.log(`Skipping audio for ${rec.id}: ${err.message}`);
+        return { status: "too-large", error: err.message };
+      }
+      console.log(`Archived audio ${file.fileName} (${mb(file.bytes)} MB)`);
+    }
+
+    const record = { status: "archived", file: file.fileName, bytes: file.bytes };
+    if (mode !== "attach" || !pageId) return record;
+
+    // An upload that failed before the block was appended is simply redone from the local file.
+    if (maxBytes && file.bytes > maxBytes) return { ...record, status: "too-large" };
+    const blockId = await attachAudioToPage(notion, pageId, file);
+    return { ...record, status: "attached", blockId };
+  }
+
+  return { needsAudio, syncRecordingAudio };
+}
@@ -0,0 +1,208 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Capture and replay of the Plaud responses the sync reads.
+//
+// `--capture <dir>` writes one JSON file per matched response ({ source, method, url, status,
+// body }) with credentials, emails and people's names redacted. `--replay <dir>` serves those
+// files back instead of the network, so extraction and the rest of the sync can be rerun
+// offline against exactly what Plaud returned.
+//
+// Transcript and summary text is kept as is (it is what extraction works on), so review a
+// capture before sharing it.
+
+const SECRET_KEYS = /(token|password|passwd|secret|authorization|cookie|session|api_?key|signature|credential)/i;
+const EMAIL_KEYS = /(^|_)e?mail/i;
+const PHONE_KEYS = /phone|mobile/i;
+// Person-name keys only; a bare "name" is also used for folders and tags, which stay readable.
+const NAME_KEYS =
+  /^(nickname|nick_?name|user_?name|first_?name|last_?name|full_?name|display_?name|real_?name|owner_?name|speaker|speaker_?name)$/i;
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const JWT_PATTERN = /eyJ[\w-]{8,}\.[\w-]{8,}\.[\w-]{8,}/g;
+const BEARER_PATTERN = /\b(bearer)\s+[\w.~+/=-]{12,}/gi;
+// Query parameters of pre-signed links (S3 and friends) that grant access.
+const SIGNED_QUERY_PARAMS = /^(x-amz-.*|signature|sig|token|access_token|expires|policy|key-pair-id|credential)$/i;
+
+const REDACTED = "[redacted]";
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function redactUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return value;
+  }
+  for (const key of Array.from(url.searchParams.keys())) {
+    if (SIGNED_QUERY_PARAMS.test(key) || SECRET_KEYS.test(key)) url.searchParams.set(key, "redacted");
+  }
+  return url.toString();
+}
+
+// One redactor per capture, so the same person gets the same pseudonym in every file.
+export function createRedactor({ secrets = [] } = {}) {
+  const pseudonyms = new Map();
+  const literal = secrets.filter((s) => s && String(s).length >= 4).map(String);
+
+  function pseudonym(name) {
+    const key = String(name).trim();
+    if (!key || /^speaker\s*\d+$/i.test(key)) return key; // Plaud's own generic labels are not personal.
+    if (!pseudonyms.has(key)) pseudonyms.set(key, `Person ${pseudonyms.size + 1}`);
+    return pseudonyms.get(key);
+  }
+
+  function collectNames(value) {
+    if (Array.isArray(value)) return value.forEach(collectNames);
+    if (!value || typeof value !== "object") return;
+    for (const [k, v] of Object.entries(value)) {
+      if (NAME_KEYS.test(k) && typeof v === "string") pseudonym(v);
+      else collectNames(v);
+    }
+  }
+
+  function redactString(s) {
+    let out = s;
+    for (const secret of literal) out = out.split(secret).join(REDACTED);
+    out = out
+      .replace(JWT_PATTERN, REDACTED)
+      .replace(BEARER_PATTERN, `$1 ${REDACTED}`)
+      .replace(EMAIL_PATTERN, "redacted@example.invalid");
+    for (const [name, alias] of pseudonyms) {
+      if (name.length < 3 || alias === name) continue;
+      out = out.replace(new RegExp(`\\b${escapeRegExp(name)}\\b`, "g"), alias);
+    }
+    if (/^https?:\/\//i.test(out)) out = redactUrl(out);
+    return out;
+  }
+
+  function walk(value, key = "") {
+    if (Array.isArray(value)) return value.map((v) => walk(v, key));
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = walk(v, k);
+      return out;
+    }
+    if (value === null || value === undefined || typeof value === "boolean") return value;
+    if (SECRET_KEYS.test(key) || PHONE_KEYS.test(key)) return REDACTED;
+    if (typeof value !== "string") return value;
+    if (EMAIL_KEYS.test(key)) return "redacted@example.invalid";
+    if (NAME_KEYS.test(key)) return pseudonym(value);
+    return redactString(value);
+  }
+
+  return {
+    redact(value) {
+      collectNames(value);
+      return walk(value);
+    },
+    redactUrl: (url) => redactString(String(url)),
+    redactText: (text) => redactString(String(text)),
+  };
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+export function createCaptureRecorder(dir, { secrets = [] } = {}) {
+  const redactor = createRedactor({ secrets });
+  let count = 0;
+  let ready = null;
+
+  async function record({ source, method = "GET", url, status, body }) {
+    ready = ready || fs.mkdir(dir, { recursive: true });
+    await ready;
+    count += 1;
+    const slug = new URL(url).pathname.replace(/[^\w]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "root";
+    const entry = {
+      source,
+      method: method.toUpperCase(),
+      url: redactor.redactUrl(url),
+      status,
+      capturedAt: new Date().toISOString(),
+      body: redactor.redact(body),
+    };
+    const fileName = `${String(count).padStart(4, "0")}-${slug}.json`;
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(entry, null, 2) + "\n");
+  }
+
+  return {
+    record,
+    get count() {
+      return count;
+    },
+  };
+}
+
+// fetch wrapper for the Plaud API client that records every response it reads.
+export function capturingFetch(recorder, fetchImpl = globalThis.fetch) {
+  return async (url, options = {}) => {
+    const resp = await fetchImpl(url, options);
+    const text = await resp.clone().text().catch(() => "");
+    await recorder.record({
+      source: "api",
+      method: options.method || "GET",
+      url: String(url),
+      status: resp.status,
+      body: parseBody(text),
+    });
+    return resp;
+  };
+}
+
+export async function loadCapture(dir) {
+  let names;
+  try {
+    names = (await fs.readdir(dir)).filter((n) => n.endsWith(".json")).sort();
+  } catch (err) {
+    throw new Error(`Could not read capture directory ${dir}: ${err?.message || err}`);
+  }
+  const entries = [];
+  for (const name of names) {
+    const entry = JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+    if (entry && typeof entry.url === "string") entries.push({ ...entry, file: name });
+  }
+  if (!entries.length) throw new Error(`No captured responses found in ${dir}`);
+  return entries;
+}
+
+function requestKey(method, url) {
+  const u = new URL(redactUrl(url));
+  u.searchParams.sort();
+  return `${String(method || "GET").toUpperCase()} ${u.pathname}${u.search}`;
+}
+
+// fetch stand-in that answers from captured API responses. Requests are matched on method,
+// path and query (signed-link parameters ignored); repeated requests replay the captured
+// responses in order and then keep returning the last one.
+export function replayFetch(entries) {
+  const byKey = new Map();
+  for (const e of entries.filter((e) => e.source === "api")) {
+    const key = requestKey(e.method, e.url);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(e);
+  }
+
+  return async (url, options = {}) => {
+    const key = requestKey(options.method, String(url));
+    const queue = byKey.get(key);
+    if (!queue?.length) {
+      return new Response(JSON.stringify({ status: -1, msg: `not in capture: ${key}` }), { status: 404 });
+    }
+    const entry = queue.length > 1 ? queue.shift() : queue[0];
+    const status = entry.status || 200;
+    const body = entry.body === null || [204, 304].includes(status) ? null : entry.body;
+    return new Response(typeof body === "string" || body === null ? body : JSON.stringify(body), {
+      status,
+      headers: { "content-type": "application/json" },
+    });
+  };
+}
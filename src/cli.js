@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+import { parseArgs } from "util";
+import { listPlaudRecordings, parseDateWindow, readSyncStatus, runSchemaCommand, runSync } from "./index.js";
+
+// Command-line entry point. Exit codes let schedulers tell outcomes apart:
+//   0  everything that needed syncing was synced
+//   1  the run failed outright (config, login, listing) or every write failed
+//   2  partial failure: some recordings synced, some failed
+//   3  nothing to do: no new or changed recordings
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_PARTIAL = 2;
+const EXIT_NOTHING_TO_DO = 3;
+
+const USAGE = `Usage: plaud-notion-sync <command> [options]
+
+Commands:
+  sync                  Sync new and changed recordings (default)
+    --dry-run           Print the pages that would be created or updated, with their properties
+    --force             Rewrite every page, including properties edited in Notion
+    --since <date>      Only recordings on or after this date (YYYY-MM-DD or ISO timestamp)
+    --until <date>      Only recordings up to this date
+    --target <name>     Where to write: notion (default) or markdown; also SYNC_TARGET
+    --capture <dir>     Also save every Plaud response read (redacted) into <dir>
+    --replay <dir>      Read Plaud responses from a capture instead of the network
+    --report <file>     Write a JSON run report to <file>; also SYNC_REPORT_FILE
+  resync <plaudId...>   Rewrite the given recordings even if they look unchanged
+    --force             Also overwrite properties edited in Notion
+    --dry-run, --target, --capture, --replay, --report   Same as for sync
+  list                  List the recordings Plaud returns, with content and sync status
+    --since, --until, --capture, --replay                Same as for sync
+  status                Summarise the sync state file
+  init                  Create the Notion database (--parent <pageId> --title <title> --yes)
+  doctor                Check the Notion database schema and offer to repair it (--yes)
+
+Exit codes: 0 ok, 1 failure, 2 partial failure, 3 nothing to do.`;
+
+function syncExitCode(result) {
+  const written = result.created + result.updated + (result.deleted || 0);
+  if (result.failed && !written) return EXIT_FAILURE;
+  if (result.failed || result.audioFailed) return EXIT_PARTIAL;
+  if (!written) return EXIT_NOTHING_TO_DO;
+  return EXIT_OK;
+}
+
+function plaudSource(args) {
+  if (args.capture && args.replay) throw new Error("Use either --capture or --replay, not both.");
+  return { capture: args.capture || null, replay: args.replay || null };
+}
+
+async function runList(args) {
+  const rows = await listPlaudRecordings({ dateWindow: parseDateWindow(args), ...plaudSource(args) });
+  if (!rows.length) {
+    console.log("Plaud returned no recordings.");
+    return EXIT_NOTHING_TO_DO;
+  }
+  for (const row of rows) {
+    console.log(
+      `${row.id}  ${row.date || "----------"}  ${row.content.padEnd(10)}  ${row.synced.padEnd(6)}  ` +
+        `summary ${row.summaryLength}  transcript ${row.transcriptLength}  ${row.title}`
+    );
+  }
+  console.log(`${rows.length} recordings.`);
+  return EXIT_OK;
+}
+
+async function runStatus() {
+  const status = await readSyncStatus();
+  console.log(`State file: ${status.filePath}`);
+  console.log(`Recordings tracked: ${status.total} (${status.withPage} with a known Notion page)`);
+  for (const [name, count] of Object.entries(status.byStatus).sort()) {
+    console.log(`  ${name}: ${count}`);
+  }
+  if (status.deleted) console.log(`Deleted in Plaud: ${status.deleted}`);
+  console.log(`Last synced: ${status.lastSyncedAt || "never"}`);
+  return EXIT_OK;
+}
+
+async function run(argv = process.argv.slice(2)) {
+  const { values: args, positionals } = parseArgs({
+    args: argv,
+    options: {
+      since: { type: "string" },
+      until: { type: "string" },
+      parent: { type: "string" },
+      title: { type: "string" },
+      yes: { type: "boolean", short: "y" },
+      "dry-run": { type: "boolean" },
+      force: { type: "boolean" },
+      target: { type: "string" },
+      capture: { type: "string" },
+      replay: { type: "string" },
+      report: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+    allowPositionals: true,
+  });
+
+  const [command = "sync", ...rest] = positionals;
+  if (args.help || command === "help") {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  switch (command) {
+    case "sync":
+      return syncExitCode(
+        await runSync({
+          dateWindow: parseDateWindow(args),
+          dryRun: args["dry-run"] === true,
+          force: args.force === true,
+          overwriteEdits: args.force === true,
+          target: args.target,
+          reportFile: args.report,
+          ...plaudSource(args),
+        })
+      );
+    case "resync":
+      if (!rest.length) throw new Error("resync needs at least one Plaud recording id.");
+      return syncExitCode(
+        await runSync({
+          ids: rest,
+          force: true,
+          overwriteEdits: args.force === true,
+          dryRun: args["dry-run"] === true,
+          target: args.target,
+          reportFile: args.report,
+          ...plaudSource(args),
+        })
+      );
+    case "list":
+      return runList(args);
+    case "status":
+      return runStatus();
+    case "init":
+    case "doctor":
+      return runSchemaCommand(command, args);
+    default:
+      throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+  }
+}
+
+run().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error("Sync failed:", err?.stack || err?.message || err);
+    process.exit(EXIT_FAILURE);
+  }
+);
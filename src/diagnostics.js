@@ -0,0 +1,115 @@
+import fs from "fs/promises";
+import path from "path";
+import { createRedactor } from "./capture.js";
+
+// Diagnostic bundles for Plaud login and listing failures.
+//
+// While Plaud is read, the last PLAUD_DIAGNOSTICS_URLS network requests (browser tabs and API
+// calls) are kept in memory. When the run fails there, one folder is written under
+// PLAUD_DIAGNOSTICS_DIR (default ./plaud-diagnostics):
+//
+//   2025-06-01T06-00-12-345Z-login/
+//     error.txt        the error, the step it happened in and the page URL
+//     network.json     the last requests: { at, source, method, status, url }
+//     screenshot.png   the browser page at that moment (browser mode only)
+//     page.html        its HTML (browser mode only)
+//
+// URLs and HTML have the Plaud credentials, e-mail addresses, tokens and signed-link
+// parameters redacted. The screenshot cannot be, so treat the folder as private.
+
+const DEFAULT_DIAGNOSTICS_DIR = "plaud-diagnostics";
+
+export function resolveDiagnosticsDir(value) {
+  return path.resolve(process.cwd(), String(value || DEFAULT_DIAGNOSTICS_DIR).trim());
+}
+
+export function createDiagnostics({ dir, maxUrls = 50, secrets = [], enabled = true } = {}) {
+  const redactor = createRedactor({ secrets });
+  const requests = [];
+  const pages = [];
+  let step = "start";
+
+  function note(source, method, status, url, error = null) {
+    if (!enabled) return;
+    requests.push({
+      at: new Date().toISOString(),
+      source,
+      method: String(method || "GET").toUpperCase(),
+      status,
+      url: redactor.redactUrl(url),
+      ...(error ? { error: String(error) } : {}),
+    });
+    if (requests.length > maxUrls) requests.shift();
+  }
+
+  async function writePart(folder, name, produce) {
+    try {
+      const data = await produce();
+      if (data !== null && data !== undefined) await fs.writeFile(path.join(folder, name), data);
+    } catch (err) {
+      console.log(`Could not save diagnostics ${name}: ${err?.message || err}`);
+    }
+  }
+
+  return {
+    // Names the step in progress ("login", "listing"); it labels the bundle.
+    step(name) {
+      step = name;
+    },
+
+    // Records a tab's requests. The first tab watched is the one the screenshot is taken of.
+    watchPage(page) {
+      if (!enabled) return;
+      pages.push(page);
+      page.on("response", (resp) => note("browser", resp.request().method(), resp.status(), resp.url()));
+      page.on("requestfailed", (req) => note("browser", req.method(), null, req.url(), req.failure()?.errorText));
+    },
+
+    // fetch wrapper for the Plaud API client that records each request.
+    fetch(fetchImpl = globalThis.fetch) {
+      return async (url, options = {}) => {
+        try {
+          const resp = await fetchImpl(url, options);
+          note("api", options.method, resp.status, String(url));
+          return resp;
+        } catch (err) {
+          note("api", options.method, null, String(url), err?.message || err);
+          throw err;
+        }
+      };
+    },
+
+    // Writes the bundle for `err`; returns its folder, or null. Never throws.
+    async save(err) {
+      if (!enabled) return null;
+      const folder = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, "-")}-${step}`);
+      try {
+        await fs.mkdir(folder, { recursive: true });
+      } catch (mkdirErr) {
+        console.log(`Could not save diagnostics to ${folder}: ${mkdirErr?.message || mkdirErr}`);
+        return null;
+      }
+
+      const page = pages.find((p) => !p.isClosed()) || null;
+      const pageUrl = page ? redactor.redactUrl(page.url()) : null;
+      const message = redactor.redactText(err?.stack || err?.message || err);
+      await writePart(folder, "error.txt", () =>
+        [
+          `Step: ${step}`,
+          `Time: ${new Date().toISOString()}`,
+          `Page: ${pageUrl || "(no browser page)"}`,
+          "",
+          message,
+          "",
+        ].join("\n")
+      );
+      await writePart(folder, "network.json", () => `${JSON.stringify(requests, null, 2)}\n`);
+      if (page) {
+        await writePart(folder, "screenshot.png", () => page.screenshot({ fullPage: true }));
+        await writePart(folder, "page.html", async () => redactor.redactText(await page.content()));
+      }
+      console.log(`Saved Plaud diagnostics to ${folder}`);
+      return folder;
+    },
+  };
+}
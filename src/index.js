@@ -1,12 +1,68 @@
+import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import puppeteer from "puppeteer";
-import { Client } from "@notionhq/client";
+import { createPlaudApiClient } from "./plaud-api.js";
+import {
+  adaptPayload,
+  createDriftReport,
+  fileTagListAdapter,
+  firstNonEmptyString,
+  recordingFromApi,
+} from "./plaud-adapters.js";
+import { createSessionStore, resolveSessionFile } from "./session.js";
+import { contentHash, loadSyncState, resolveStateFile } from "./sync-state.js";
+import { createPageWithSection, syncManagedSection, syncTranscriptPage } from "./notion-body.js";
+import { createNotionClient, uploadFile } from "./notion-client.js";
+import { markdownToBlocks } from "./markdown.js";
+import {
+  PROCESSING_LABELS,
+  assertValidPropertyMap,
+  buildPropertyValues,
+  dedupeProperty,
+  defaultPropertyMap,
+  loadPropertyConfig,
+  propertyFingerprint,
+  propertyMapFromConfig,
+  protectEditedProperties,
+  resolveConfigFile,
+  validatePropertyMap,
+} from "./property-map.js";
+import {
+  applySchemaChanges,
+  confirm,
+  createDatabase,
+  ensureSelectOptions,
+  isPlanEmpty,
+  planSchemaChanges,
+  printSchemaReport,
+  recommendedPropertyMap,
+} from "./schema.js";
+import { createTaskSync, extractActionItems } from "./tasks.js";
+import { AUDIO_MODES, createAudioSync, resolveAudioDir } from "./audio.js";
+import { capturingFetch, createCaptureRecorder, loadCapture, replayFetch } from "./capture.js";
+import { createDiagnostics, resolveDiagnosticsDir } from "./diagnostics.js";
+import { generateTotp, parseTotpSecret, totpSecondsLeft } from "./totp.js";
+import { createMarkdownTarget, resolveMarkdownDir } from "./markdown-target.js";
+import { routeFor, routesFromConfig } from "./routing.js";
+import { createRunReport, resolveReportFile } from "./run-report.js";
+import { notifyRun, readNotifySettings } from "./notify.js";
+import { TRANSCRIPT_GROUPINGS, buildSegmentBlocks } from "./transcript.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PLAUD_DEBUG = String(process.env.PLAUD_DEBUG || "false").toLowerCase() === "true";
+const PLAUD_MODES = new Set(["auto", "api", "browser"]);
+const SYNC_TARGETS = new Set(["notion", "markdown"]);
+// Responses worth parsing for recording data; the same filter decides what `--capture` saves.
+const PLAUD_RESPONSE_URL_PATTERN = /api|record|note|transcript|meeting/i;
+const INCOMPLETE_STATES = new Set(["pending", "partial", "low-signal"]);
+const DELETION_MODES = new Set(["off", "archive", "checkbox"]);
+const DELETED_PROPERTY = "Deleted in Plaud";
+const LONG_TRANSCRIPT_MODES = new Set(["inline", "page", "file"]);
+// Notion's upload limit on free workspaces; a longer transcript file is cut there.
+const TRANSCRIPT_FILE_MAX_BYTES = 5 * 1024 * 1024;
 
 function requireEnv(name) {
   const v = process.env[name];
@@ -18,6 +74,39 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+// Calls `fn` on every item with at most `limit` calls in flight, in list order.
+async function forEachConcurrently(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+}
+
+// Runs `fn` once every earlier call with the same key has settled.
+function createKeyedQueue() {
+  const tails = new Map();
+  return (key, fn) => {
+    const run = (tails.get(key) || Promise.resolve()).then(fn);
+    tails.set(key, run.catch(() => {}));
+    return run;
+  };
+}
+
+// Select options are added to a database's schema one write at a time, so concurrent writes
+// never race to add the same new option.
+const selectOptionUpdates = createKeyedQueue();
+
+function readPositiveInteger(name, fallback) {
+  const raw = process.env[name];
+  const n = raw === undefined || raw === "" ? fallback : Number(raw);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid ${name} "${raw}"; use a whole number of 1 or more.`);
+  return n;
+}
+
 async function safeJson(response) {
   try {
     return await response.json();
@@ -52,25 +141,6 @@ function buildPlaudRecordingUrl(baseUrl, rec) {
   return `${cleanedBase}/recordings/${encodeURIComponent(String(rec.id))}`;
 }
 
-async function loadSyncedIds() {
-  const fp = path.join(process.cwd(), "synced-recordings.json");
-  try {
-    const raw = await fs.readFile(fp, "utf8");
-    const parsed = JSON.parse(raw);
-    if (Array.isArray(parsed)) return new Set(parsed.map(String));
-    if (parsed && Array.isArray(parsed.ids)) return new Set(parsed.ids.map(String));
-    return new Set();
-  } catch {
-    return new Set();
-  }
-}
-
-async function saveSyncedIds(setOfIds) {
-  const fp = path.join(process.cwd(), "synced-recordings.json");
-  const ids = Array.from(setOfIds);
-  await fs.writeFile(fp, JSON.stringify(ids, null, 2) + "\n", "utf8");
-}
-
 async function waitForAnySelector(page, selectors, timeoutMs = 20000) {
   const start = Date.now();
   while (Date.now() - start < timeoutMs) {
@@ -89,7 +159,152 @@ async function typeInto(page, selectors, value) {
   await page.keyboard.type(value, { delay: 20 });
 }
 
-async function loginToPlaud(page, baseUrl, email, password) {
+const EMAIL_INPUT_SELECTORS = [
+  'input[type="email"]',
+  'input[name="email"]',
+  'input[autocomplete="email"]',
+  'input[placeholder*="email" i]',
+];
+const PASSWORD_INPUT_SELECTORS = [
+  'input[type="password"]',
+  'input[name="password"]',
+  'input[autocomplete="current-password"]',
+  'input[placeholder*="password" i]',
+];
+// Inputs for a one-time code, either one field or a row of single-digit boxes.
+const CODE_INPUT_SELECTORS = [
+  'input[autocomplete="one-time-code"]',
+  'input[name*="otp" i]',
+  'input[name*="code" i]',
+  'input[placeholder*="code" i]',
+  'input[inputmode="numeric"][maxlength="1"]',
+  'input[inputmode="numeric"][maxlength="6"]',
+];
+const CAPTCHA_SELECTORS = [
+  'iframe[src*="recaptcha"]',
+  'iframe[src*="hcaptcha"]',
+  'iframe[src*="challenges.cloudflare.com"]',
+  'iframe[src*="captcha" i]',
+  '[class*="captcha" i]',
+  '[id*="captcha" i]',
+  "#challenge-form",
+  "#cf-challenge-running",
+];
+const CAPTCHA_TEXT =
+  /verify (that )?you are (a )?human|are you a robot|complete the security check|slide to (verify|complete)|drag the slider/i;
+// A code sent by email rather than one from an authenticator app.
+const EMAILED_CODE_TEXT =
+  /check your (e-?mail|inbox)|(sent|emailed) (you )?(a |the )?(verification )?code|code (was )?sent to/i;
+const LOGIN_ERROR_SELECTORS = [
+  '[role="alert"]',
+  '[class*="error" i]',
+  '[class*="toast" i]',
+  '[class*="message-error" i]',
+];
+const SUBMIT_BUTTON_TEXT = /^(log ?in|sign ?in|continue|next|verify|submit|confirm)$/i;
+
+// What the login page shows right now: a captcha, a one-time code prompt, the login form (with
+// any error messages it displays), or none of those once the app has let us in.
+async function loginPageState(page) {
+  const state = await page.evaluate(
+    ({ captcha, code, password, errors, captchaText, emailedText }) => {
+      const visible = (el) => {
+        const r = el.getBoundingClientRect();
+        return r.width > 0 && r.height > 0 && getComputedStyle(el).visibility !== "hidden";
+      };
+      const firstVisible = (selectors, skip = () => false) =>
+        selectors
+          .map((sel) => Array.from(document.querySelectorAll(sel)).find((el) => visible(el) && !skip(el)))
+          .find(Boolean) || null;
+      // reCAPTCHA's always-present badge is not a challenge.
+      const badge = (el) =>
+        /size=invisible/.test(el.getAttribute("src") || "") || Boolean(el.closest(".grecaptcha-badge"));
+      const text = document.body?.innerText || "";
+
+      const captchaEl = firstVisible(captcha, badge);
+      if (captchaEl || new RegExp(captchaText, "i").test(text)) {
+        return { kind: "captcha", detail: captchaEl?.getAttribute("src") || captchaEl?.className || "page text" };
+      }
+      // Short texts of error-looking elements; wrappers around whole fields or pages are not messages.
+      const messages = errors
+        .flatMap((sel) => Array.from(document.querySelectorAll(sel)).filter(visible))
+        .filter((el) => !el.querySelector("input, form"))
+        .map((el) => (el.innerText || "").trim().replace(/\s+/g, " "))
+        .filter((t) => t && t.length <= 300);
+      const passwordEl = firstVisible(password);
+      const kind = passwordEl ? "form" : firstVisible(code) ? "code" : "done";
+      return { kind, errors: Array.from(new Set(messages)), emailed: new RegExp(emailedText, "i").test(text) };
+    },
+    {
+      captcha: CAPTCHA_SELECTORS,
+      code: CODE_INPUT_SELECTORS,
+      password: PASSWORD_INPUT_SELECTORS,
+      errors: LOGIN_ERROR_SELECTORS,
+      captchaText: CAPTCHA_TEXT.source,
+      emailedText: EMAILED_CODE_TEXT.source,
+    }
+  );
+  if (state.kind === "done" && /\/(login|signin|sign-in)\b/i.test(page.url())) return { kind: "form", errors: [] };
+  return state;
+}
+
+function captchaError(baseUrl, detail) {
+  return new Error(
+    `Plaud showed a captcha or human-verification check (${detail}), which the sync cannot solve. ` +
+      `Log in once at ${baseUrl} in a normal browser, wait a while before the next run, or try PLAUD_MODE=api.`
+  );
+}
+
+// Waits until the page moves past the step just submitted: the app, a captcha, a code prompt,
+// or an error on the form. Navigation in between makes evaluate throw; that is just "not yet".
+async function waitForLoginStep(page, previous, timeoutMs = 45000) {
+  const start = Date.now();
+  let state = null;
+  while (Date.now() - start < timeoutMs) {
+    state = await loginPageState(page).catch(() => null);
+    if (state?.kind === "done") {
+      // The form can vanish a moment before the next prompt renders; look again to be sure.
+      await sleep(1500);
+      state = (await loginPageState(page).catch(() => null)) || state;
+    }
+    if (state && state.kind !== previous) return state;
+    if (state?.errors?.length) return state;
+    await sleep(500);
+  }
+  return state || { kind: previous, errors: [] };
+}
+
+// Clicks the form's submit button when there is a recognisable one, else presses Enter. Buttons
+// are recognised by their label first: icon buttons (show password) are submit buttons too.
+async function submitLoginForm(page) {
+  const handle = await page.evaluateHandle((pattern) => {
+    const re = new RegExp(pattern, "i");
+    const buttons = Array.from(document.querySelectorAll('button, input[type="submit"]')).filter(
+      (b) => b.offsetParent !== null && !b.disabled
+    );
+    return (
+      buttons.find((b) => re.test((b.innerText || b.value || "").trim())) ||
+      buttons.find((b) => b.getAttribute("type") === "submit") ||
+      null
+    );
+  }, SUBMIT_BUTTON_TEXT.source);
+  const button = handle.asElement();
+  if (button) await button.click();
+  else await page.keyboard.press("Enter");
+}
+
+async function enterTotpCode(page, totp) {
+  // A code this close to expiring can be stale by the time Plaud checks it; use the next one.
+  const left = totpSecondsLeft(totp);
+  if (left < 5) await sleep(left * 1000 + 500);
+  const { element } = await waitForAnySelector(page, CODE_INPUT_SELECTORS, 10000);
+  await element.click({ clickCount: 3 });
+  // Rows of single-digit boxes move the focus along as each digit is typed.
+  await page.keyboard.type(generateTotp(totp), { delay: 60 });
+  await submitLoginForm(page);
+}
+
+async function loginToPlaud(page, baseUrl, email, password, totp = null) {
   console.log("Navigating to Plaud login...");
   await page.goto(baseUrl, { waitUntil: "networkidle2" });
 
@@ -98,196 +313,106 @@ async function loginToPlaud(page, baseUrl, email, password) {
 
   // Email field
   console.log("Waiting for email input...");
-  await typeInto(
-    page,
-    [
-      'input[type="email"]',
-      'input[name="email"]',
-      'input[autocomplete="email"]',
-      'input[placeholder*="email" i]',
-    ],
-    email
-  );
+  try {
+    await typeInto(page, EMAIL_INPUT_SELECTORS, email);
+  } catch (err) {
+    // A verification interstitial in front of the app hides the form entirely.
+    const state = await loginPageState(page).catch(() => null);
+    if (state?.kind === "captcha") throw captchaError(baseUrl, state.detail);
+    throw err;
+  }
 
   // Password field
   console.log("Waiting for password input...");
-  await typeInto(
-    page,
-    [
-      'input[type="password"]',
-      'input[name="password"]',
-      'input[autocomplete="current-password"]',
-      'input[placeholder*="password" i]',
-    ],
-    password
-  );
+  await typeInto(page, PASSWORD_INPUT_SELECTORS, password);
 
-  // Submit without relying on a button selector
   console.log("Submitting login...");
-  await page.keyboard.press("Enter");
-
-  // Wait for either navigation or a clear post login signal
-  // We do a race: either URL changes, or a known logged in element appears
-  const loggedInSelectors = [
-    'a[href*="record" i]',
-    'a[href*="note" i]',
-    'button[aria-label*="profile" i]',
-    '[data-testid*="user" i]',
-  ];
-
-  try {
-    await Promise.race([
-      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 45000 }),
-      (async () => {
-        await waitForAnySelector(page, loggedInSelectors, 45000);
-      })(),
-    ]);
-  } catch {
-    // Not fatal yet. We will check for login failure.
+  await submitLoginForm(page);
+  let state = await waitForLoginStep(page, "form");
+
+  if (state.kind === "code") {
+    if (state.emailed) {
+      throw new Error(
+        "Plaud sent a verification code by email, which the sync cannot read. Log in once at " +
+          `${baseUrl} from a normal browser to trust this account, then run again.`
+      );
+    }
+    if (!totp) {
+      throw new Error(
+        "Plaud asked for a two-factor code. Set PLAUD_TOTP_SECRET to the authenticator key of the account."
+      );
+    }
+    console.log("Entering the two-factor code...");
+    await enterTotpCode(page, totp);
+    state = await waitForLoginStep(page, "code");
+    if (state.kind === "code") {
+      const shown = state.errors?.length ? ` (${state.errors.join(" / ")})` : "";
+      throw new Error(`Plaud did not accept the two-factor code${shown}. Check PLAUD_TOTP_SECRET and the clock.`);
+    }
   }
 
-  // Detect obvious login failure messages
-  const bodyText = await page.evaluate(() => document.body?.innerText || "");
-  const lower = bodyText.toLowerCase();
-  if (lower.includes("incorrect") || lower.includes("invalid") || lower.includes("wrong password")) {
-    throw new Error("Plaud login appears to have failed. Check PLAUD_EMAIL and PLAUD_PASSWORD.");
+  if (state.kind === "captcha") throw captchaError(baseUrl, state.detail);
+  if (state.kind === "form") {
+    if (state.errors?.length) {
+      throw new Error(`Plaud login failed: ${state.errors.join(" / ")}. Check PLAUD_EMAIL and PLAUD_PASSWORD.`);
+    }
+    throw new Error("Plaud login did not complete: the login form is still showing.");
   }
 
   console.log("Login step completed. Proceeding...");
 }
 
-function firstNonEmptyString(values) {
-  for (const v of values) {
-    if (typeof v === "string" && v.trim()) return v.trim();
-  }
-  return "";
-}
-
-function flattenText(value) {
-  if (!value) return "";
-  if (typeof value === "string") return value.trim();
-  if (Array.isArray(value)) {
-    return value
-      .map((v) => flattenText(v))
-      .filter(Boolean)
-      .join("\n")
-      .trim();
-  }
-  if (typeof value === "object") {
-    // Only read explicit text-bearing keys. Do NOT recursively flatten arbitrary objects,
-    // which can pull unrelated UI/template metadata into summaries.
-    const likely = [
-      value.text,
-      value.content,
-      value.value,
-      value.summary,
-      value.brief,
-      value.transcript,
-      value.description,
-      value.markdown,
-      value.plain,
-    ];
-    return firstNonEmptyString(likely);
-  }
-  return "";
-}
-
-function extractRecordingsFromApiJson(json) {
-  // We do not know Plaud schema exactly, so we check common shapes.
-  // Return array of { id, title, createdAt, summary, sourceUrl, transcript }
-  if (!json || typeof json !== "object") return [];
-
-  const candidates = [];
-
-  const maybeArrays = [];
-  for (const k of Object.keys(json)) {
-    if (Array.isArray(json[k])) maybeArrays.push(json[k]);
-  }
-  // Common nesting patterns
-  if (Array.isArray(json.recordings)) maybeArrays.push(json.recordings);
-  if (Array.isArray(json.data)) maybeArrays.push(json.data);
-  if (json.data && Array.isArray(json.data.recordings)) maybeArrays.push(json.data.recordings);
-  if (json.result && Array.isArray(json.result.recordings)) maybeArrays.push(json.result.recordings);
-
-  for (const arr of maybeArrays) {
-    for (const r of arr) {
-      if (!r || typeof r !== "object") continue;
-      const id = r.id ?? r.recordingId ?? r.recording_id ?? r.uuid ?? r._id;
-      if (!id) continue;
-
-      const title = firstNonEmptyString([
-        r.title,
-        r.name,
-        r.recordingName,
-        r.recordingTitle,
-        r.record_title,
-        r.fileName,
-        r.filename,
-        r.subject,
-      ]) || "Plaud Recording";
-
-      const createdAt =
-        r.createdAt ??
-        r.created_at ??
-        r.createTime ??
-        r.createdTime ??
-        r.time ??
-        r.date ??
-        null;
+async function isOnLoginPage(page) {
+  if (/\/(login|signin|sign-in)\b/i.test(page.url())) return true;
+  const passwordInput = await page.$('input[type="password"]');
+  return Boolean(passwordInput);
+}
 
-      const summary = firstNonEmptyString([
-        flattenText(r.summary),
-        flattenText(r.brief),
-        flattenText(r.aiSummary),
-        flattenText(r.ai_summary),
-        flattenText(r.abstract),
-        flattenText(r.notes),
-      ]);
-
-      const transcript = firstNonEmptyString([
-        flattenText(r.transcript),
-        flattenText(r.text),
-        flattenText(r.content),
-        flattenText(r.fullText),
-        flattenText(r.full_text),
-      ]);
-
-      const sourceUrl = firstNonEmptyString([r.url, r.webUrl, r.shareUrl, r.link]);
-
-      const summaryCandidates = [
-        flattenText(r.summary),
-        flattenText(r.brief),
-        flattenText(r.aiSummary),
-        flattenText(r.ai_summary),
-        flattenText(r.abstract),
-        flattenText(r.notes),
-      ];
-      const transcriptCandidates = [
-        flattenText(r.transcript),
-        flattenText(r.text),
-        flattenText(r.content),
-        flattenText(r.fullText),
-        flattenText(r.full_text),
-      ];
-
-      candidates.push({
-        id: String(id),
-        title: String(title),
-        createdAt,
-        summary,
-        transcript,
-        sourceUrl: sourceUrl ? String(sourceUrl) : "",
-        _debug: PLAUD_DEBUG
-          ? {
-              rawKeys: Object.keys(r).slice(0, 40),
-              summaryLens: summaryCandidates.map((x) => (x || "").length),
-              transcriptLens: transcriptCandidates.map((x) => (x || "").length),
-            }
-          : undefined,
-      });
+// The web app keeps its API token in localStorage as "bearer <jwt>"; the audio download reuses it.
+function browserSessionToken(browserSession) {
+  for (const [, value] of browserSession?.localStorage || []) {
+    const m = String(value || "").match(/^bearer\s+(\S+)$/i);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+async function captureBrowserSession(page) {
+  const cookies = await page.cookies();
+  const localStorageEntries = await page.evaluate(() => Object.entries(window.localStorage || {}));
+  return { origin: new URL(page.url()).origin, cookies, localStorage: localStorageEntries };
+}
+
+async function restoreBrowserSession(page, baseUrl, session) {
+  if (!session?.cookies?.length && !session?.localStorage?.length) return false;
+
+  let unauthorized = false;
+  const onResp = (resp) => {
+    if (resp.status() === 401) unauthorized = true;
+  };
+
+  page.on("response", onResp);
+  try {
+    if (session.cookies?.length) await page.setCookie(...session.cookies);
+    await page.goto(session.origin || baseUrl, { waitUntil: "networkidle2" });
+    if (session.localStorage?.length) {
+      await page.evaluate((entries) => {
+        for (const [k, v] of entries) window.localStorage.setItem(k, v);
+      }, session.localStorage);
+      await page.goto(baseUrl, { waitUntil: "networkidle2" });
     }
+    await sleep(1000);
+  } catch {
+    return false;
+  } finally {
+    page.off("response", onResp);
   }
 
+  if (unauthorized) return false;
+  return !(await isOnLoginPage(page));
+}
+
+function dedupeRecordings(candidates) {
   // Deduplicate by id, preferring the richest record when duplicates appear
   const map = new Map();
   for (const c of candidates) {
@@ -312,48 +437,118 @@ function mergeRecording(baseRec, enrichRec) {
     createdAt: enrichRec.createdAt ?? baseRec.createdAt,
     summary: firstNonEmptyString([enrichRec.summary, baseRec.summary]),
     transcript: firstNonEmptyString([enrichRec.transcript, baseRec.transcript]),
+    segments: enrichRec.segments?.length ? enrichRec.segments : baseRec.segments || [],
+    durationMs: enrichRec.durationMs ?? baseRec.durationMs ?? null,
     sourceUrl: firstNonEmptyString([enrichRec.sourceUrl, baseRec.sourceUrl]),
+    folder: enrichRec.folder || baseRec.folder || null,
+    tags: enrichRec.tags?.length ? enrichRec.tags : baseRec.tags || [],
+    device: enrichRec.device || baseRec.device || null,
+    language: enrichRec.language || baseRec.language || null,
+    speakers: enrichRec.speakers?.length ? enrichRec.speakers : baseRec.speakers || [],
   };
 }
 
-async function enrichRecordingFromDetailPage(page, baseUrl, rec) {
+// Opens the recording's detail page and merges what its responses say about the recording.
+// Done as soon as those responses make the recording useful, or once the page's network has
+// gone quiet, or after `timeoutMs`, whichever comes first.
+async function enrichRecordingFromDetailPage(page, baseUrl, rec, drift, { timeoutMs = 20000 } = {}) {
   if (!rec?.id) return rec;
 
-  const detailCandidates = [];
+  let best = rec;
+  let markUseful;
+  const useful = new Promise((resolve) => {
+    markUseful = resolve;
+  });
   const onResp = async (resp) => {
     try {
       const url = resp.url();
-      if (!/api|record|note|transcript|meeting/i.test(url)) return;
+      if (!PLAUD_RESPONSE_URL_PATTERN.test(url)) return;
       const json = await safeJson(resp);
       if (!json) return;
-      const extracted = extractRecordingsFromApiJson(json);
+      const extracted = adaptPayload(url, json, drift);
       for (const e of extracted) {
-        if (String(e.id) === String(rec.id)) detailCandidates.push(e);
+        if (String(e.id) === String(rec.id)) best = mergeRecording(best, e);
       }
+      if (hasUsefulContent(best)) markUseful();
     } catch {
       // ignore noisy responses
     }
   };
 
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(true), timeoutMs);
+  });
+  const loaded = async () => {
+    await page.goto(buildPlaudRecordingUrl(baseUrl, rec), { waitUntil: "domcontentloaded", timeout: timeoutMs });
+    await Promise.race([useful, page.waitForNetworkIdle({ idleTime: 800, timeout: timeoutMs })]);
+  };
+
   page.on("response", onResp);
   try {
-    await page.goto(buildPlaudRecordingUrl(baseUrl, rec), { waitUntil: "networkidle2" });
-    await sleep(1800);
-  } catch {
-    // ignore navigation failures and return original record
+    const late = await Promise.race([useful, loaded().catch(() => {}), timedOut]);
+    if (late === true) console.log(`Detail page for ${rec.id} timed out after ${Math.round(timeoutMs / 1000)}s.`);
   } finally {
+    clearTimeout(timer);
     page.off("response", onResp);
   }
 
-  let best = rec;
-  for (const c of detailCandidates) {
-    best = mergeRecording(best, c);
+  return best;
+}
+
+// Enriches recordings from their detail pages across a pool of `tabs` browser tabs.
+async function enrichRecordingsFromDetailPages(openTab, baseUrl, recordings, drift, { tabs, timeoutMs }) {
+  const enriched = new Map();
+  const pool = [];
+  try {
+    await forEachConcurrently(recordings, tabs, async (rec) => {
+      const page = pool.pop() || (await openTab());
+      try {
+        enriched.set(String(rec.id), await enrichRecordingFromDetailPage(page, baseUrl, rec, drift, { timeoutMs }));
+      } finally {
+        pool.push(page);
+      }
+    });
+  } finally {
+    await Promise.all(pool.map((page) => page.close().catch(() => {})));
   }
+  return enriched;
+}
 
-  return best;
+async function scrollUntilStable(
+  page,
+  countItems,
+  { idleRounds = 3, maxRounds = 500, waitMs = 1200, shouldStop = () => false } = {}
+) {
+  let lastCount = await countItems();
+  let idle = 0;
+
+  for (let round = 0; round < maxRounds && idle < idleRounds && !shouldStop(); round += 1) {
+    await page.evaluate(() => {
+      // Scroll the window and every scrollable container, since the list may live in either.
+      window.scrollTo(0, document.body.scrollHeight);
+      for (const el of document.querySelectorAll("*")) {
+        if (el.scrollHeight > el.clientHeight + 20 && /(auto|scroll)/.test(getComputedStyle(el).overflowY)) {
+          el.scrollTop = el.scrollHeight;
+        }
+      }
+    });
+    await sleep(waitMs);
+
+    const count = await countItems();
+    if (count > lastCount) {
+      lastCount = count;
+      idle = 0;
+    } else {
+      idle += 1;
+    }
+  }
+
+  return lastCount;
 }
 
-async function getPlaudRecordings(page, baseUrl) {
+// `openTab` opens another logged-in tab, for visiting detail pages side by side.
+async function getPlaudRecordings(page, openTab, baseUrl, dateWindow = {}, drift) {
   console.log("Opening Plaud app area...");
   // Try to nudge app to a recordings area. We do not assume exact route.
   // Most apps expose something like /recordings or /notes. We attempt both.
@@ -371,11 +566,11 @@ async function getPlaudRecordings(page, baseUrl) {
   page.on("response", async (resp) => {
     const url = resp.url();
     // Heuristic: capture api responses that look like they contain recordings list
-    if (!/api|record|note|transcript|meeting/i.test(url)) return;
+    if (!PLAUD_RESPONSE_URL_PATTERN.test(url)) return;
     const json = await safeJson(resp);
     if (!json) return;
 
-    const extracted = extractRecordingsFromApiJson(json);
+    const extracted = adaptPayload(url, json, drift);
     if (extracted.length) {
       apiPayloads.push(...extracted);
     }
@@ -386,8 +581,20 @@ async function getPlaudRecordings(page, baseUrl) {
       await page.goto(u, { waitUntil: "networkidle2" });
       // Give network listeners time to capture
       await sleep(2000);
-      recordings = apiPayloads;
-      if (recordings.length) break;
+      if (apiPayloads.length) {
+        // The list lazy-loads older recordings as it scrolls; keep going until it stops growing.
+        await scrollUntilStable(page, () => new Set(apiPayloads.map((r) => r.id)).size, {
+          // Newest-first list: once anything older than --since has loaded, the window is covered.
+          shouldStop: () =>
+            Boolean(dateWindow.since) &&
+            apiPayloads.some((r) => {
+              const iso = toNotionDate(r.createdAt);
+              return iso && Date.parse(iso) < dateWindow.since.getTime();
+            }),
+        });
+        recordings = dedupeRecordings(apiPayloads);
+        break;
+      }
     } catch {
       // Try next
     }
@@ -397,13 +604,10 @@ async function getPlaudRecordings(page, baseUrl) {
     // Enrich low-signal records by visiting detail pages for better summary/transcript fields.
     const needsEnrichment = recordings.filter((r) => !hasUsefulContent(r));
     if (needsEnrichment.length) {
+      const settings = readEnrichmentSettings();
       console.log(`Enriching ${needsEnrichment.length} low-signal recordings from detail pages...`);
-      const byId = new Map(recordings.map((r) => [String(r.id), r]));
-      for (const rec of needsEnrichment) {
-        const enriched = await enrichRecordingFromDetailPage(page, baseUrl, rec);
-        byId.set(String(rec.id), mergeRecording(rec, enriched));
-      }
-      recordings = Array.from(byId.values());
+      const enriched = await enrichRecordingsFromDetailPages(openTab, baseUrl, needsEnrichment, drift, settings);
+      recordings = recordings.map((r) => mergeRecording(r, enriched.get(String(r.id))));
     }
 
     console.log(`Captured ${recordings.length} recordings from Plaud network responses.`);
@@ -413,6 +617,9 @@ async function getPlaudRecordings(page, baseUrl) {
   // Fallback: basic DOM scrape for cards
   console.log("Falling back to DOM scrape...");
   await sleep(1500);
+  await scrollUntilStable(page, () =>
+    page.evaluate(() => document.querySelectorAll("[class*='card' i], [data-testid*='card' i]").length)
+  );
 
   const domResults = await page.evaluate(() => {
     const results = [];
@@ -454,10 +661,12 @@ async function getPlaudRecordings(page, baseUrl) {
     // Deduplicate
     const map = new Map();
     for (const r of results) map.set(String(r.id), r);
-    return Array.from(map.values()).slice(0, 100);
+    return Array.from(map.values());
   });
 
   if (!domResults.length) {
+    const state = await loginPageState(page).catch(() => null);
+    if (state?.kind === "captcha") throw captchaError(baseUrl, state.detail);
     throw new Error("Could not find recordings from Plaud. Plaud UI likely changed. We need to adjust selectors.");
   }
 
@@ -465,6 +674,148 @@ async function getPlaudRecordings(page, baseUrl) {
   return domResults;
 }
 
+// Returns { recordings, listing }. `listing` ({ complete, ids }) is every id Plaud listed,
+// including recordings whose details could not be read; it is null for targeted fetches.
+async function getPlaudRecordingsViaApi(client, dateWindow = {}, ids = null, drift = createDriftReport()) {
+  let items;
+  let listing = null;
+  if (ids?.length) {
+    // Targeted fetch: the detail payload carries the same fields as a list item.
+    items = ids.map((id) => ({ id }));
+  } else {
+    console.log("Listing Plaud recordings via API...");
+    const listed = await client.listRecordings(dateWindow);
+    items = listed.items;
+    listing = { complete: listed.complete, ids: items.map((item) => String(item?.id ?? item?.file_id)) };
+    console.log(`Plaud API listed ${items.length} recordings. Fetching details...`);
+  }
+
+  let folders = null;
+  try {
+    folders = fileTagListAdapter.map(await client.listFileTags(), drift);
+  } catch (err) {
+    // Folder names are nice to have; recordings sync without them.
+    console.log(`Could not list Plaud folders: ${err?.message || err}`);
+  }
+
+  const recordings = [];
+  for (const item of items) {
+    const id = item?.id ?? item?.file_id;
+    if (!id) continue;
+
+    let detail = null;
+    let transcript = null;
+    let summary = null;
+    try {
+      detail = await client.getRecordingDetail(id);
+      transcript = await client.getTranscript(id, detail);
+      summary = await client.getSummary(id, detail);
+    } catch (err) {
+      // A single unreadable detail should not hide the rest of the listing.
+      console.log(`Could not fetch Plaud detail for ${id}: ${err?.message || err}`);
+    }
+    // Without a listing entry the detail is all there is; don't write a blank page over a good one.
+    if (ids?.length && !detail) continue;
+
+    const rec = recordingFromApi(item, detail, transcript, summary, drift, folders);
+    if (rec) recordings.push(rec);
+  }
+
+  return { recordings, listing };
+}
+
+// `settings` is readPlaudSettings(): base URL and credentials, including the TOTP secret.
+async function getPlaudRecordingsViaBrowser(
+  browser,
+  settings,
+  sessionStore,
+  dateWindow = {},
+  recorder = null,
+  drift = createDriftReport(),
+  diagnostics = null
+) {
+  const { baseUrl } = settings;
+  // Tabs share the browser's cookies and storage, so every tab is logged in once the first is.
+  async function openTab() {
+    const tab = await browser.newPage();
+    tab.setDefaultTimeout(60000);
+    diagnostics?.watchPage(tab);
+    if (recorder) {
+      tab.on("response", async (resp) => {
+        const url = resp.url();
+        if (!PLAUD_RESPONSE_URL_PATTERN.test(url)) return;
+        const json = await safeJson(resp);
+        if (!json) return;
+        try {
+          const method = resp.request().method();
+          await recorder.record({ source: "browser", method, url, status: resp.status(), body: json });
+        } catch (err) {
+          console.log(`Could not save captured response: ${err?.message || err}`);
+        }
+      });
+    }
+    return tab;
+  }
+
+  const page = await openTab();
+
+  diagnostics?.step("login");
+  const saved = sessionStore.data.browser;
+  if (await restoreBrowserSession(page, baseUrl, saved)) {
+    console.log("Reusing saved Plaud browser session.");
+  } else {
+    if (saved) {
+      console.log("Saved Plaud browser session has expired. Logging in again...");
+      await sessionStore.clear(["browser"]);
+    }
+    await loginToPlaud(page, baseUrl, settings.email, settings.password, settings.totp);
+    await sessionStore.save({ browser: await captureBrowserSession(page) });
+  }
+
+  diagnostics?.step("listing");
+  return getPlaudRecordings(page, openTab, baseUrl, dateWindow, drift);
+}
+
+function parseWindowBound(value, name, endOfDay) {
+  if (!value) return null;
+  const v = String(value).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const d = new Date(dateOnly ? `${v}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z` : v);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid --${name} date: ${value}`);
+  return d;
+}
+
+function parseDateWindow({ since, until } = {}) {
+  const window = {
+    since: parseWindowBound(since, "since", false),
+    until: parseWindowBound(until, "until", true),
+  };
+  if (window.since && window.until && window.since > window.until) {
+    throw new Error("--since must be earlier than --until");
+  }
+  return window;
+}
+
+function filterByDateWindow(recordings, { since, until }) {
+  if (!since && !until) return recordings;
+
+  let undated = 0;
+  const kept = recordings.filter((rec) => {
+    const iso = toNotionDate(rec.createdAt);
+    if (!iso) {
+      undated += 1;
+      return false;
+    }
+    const t = Date.parse(iso);
+    if (since && t < since.getTime()) return false;
+    if (until && t > until.getTime()) return false;
+    return true;
+  });
+
+  if (undated) console.log(`Skipped ${undated} recordings without a date because a --since/--until window is set.`);
+  return kept;
+}
+
 function toNotionDate(value) {
   if (!value) return null;
   const d = new Date(value);
@@ -481,9 +832,11 @@ function isTemplateNoise(text) {
     "detailed summary",
     "full transcript (for external use)",
     "faithful and complete audio transcription",
-    "extract meeting tasks and decisions",
   ];
-  return markers.some((m) => t.includes(m));
+  if (markers.some((m) => t.includes(m))) return true;
+  // This is also the title of Plaud's tasks template, so only a summary without any action
+  // items under it counts as template noise.
+  return t.includes("extract meeting tasks and decisions") && extractActionItems(text).length === 0;
 }
 
 function hasUsefulContent(rec) {
@@ -494,73 +847,119 @@ function hasUsefulContent(rec) {
   return goodSummary || transcriptLen >= 120;
 }
 
+// pending: Plaud has produced neither a transcript nor a summary yet; partial: only one of them.
+function processingState(rec) {
+  const summary = (rec.summary || "").trim();
+  const hasSummary = Boolean(summary) && !isTemplateNoise(summary);
+  const hasTranscript = Boolean((rec.transcript || "").trim());
+  if (hasSummary && hasTranscript) return "complete";
+  return hasSummary || hasTranscript ? "partial" : "pending";
+}
+
 function shouldUpsert(rec) {
   // Always upsert if we have any identity/title/date/link value at all.
   // This guarantees Name/Date/Plaud-link improvements apply even before summaries/transcripts are ready.
   return Boolean(rec?.id || rec?.title || rec?.createdAt || rec?.sourceUrl);
 }
 
-function pickSummaryPropertyName(dbProperties = {}) {
-  const candidates = ["Summary", "Meeting Minutes", "Meeting Notes", "Notes"];
-  for (const name of candidates) {
-    if (dbProperties?.[name]?.type === "rich_text") return name;
-  }
-  // fallback: first rich_text property that isn't Source
-  for (const [name, meta] of Object.entries(dbProperties || {})) {
-    if (name !== "Source" && meta?.type === "rich_text") return name;
-  }
-  return null;
+function recordingFieldValues(rec, baseUrl) {
+  const speakers = rec.speakers?.length
+    ? rec.speakers
+    : Array.from(new Set((rec.segments || []).map((s) => s.speaker).filter(Boolean)));
+  return {
+    title: recordingDisplayName(rec),
+    // Always set a date so records are sortable even when Plaud omits createdAt.
+    createdAt: toNotionDate(rec.createdAt) || new Date().toISOString(),
+    duration: Number.isFinite(rec.durationMs) ? Math.round(rec.durationMs / 600) / 100 : null,
+    summary: rec.summary || "",
+    tags: rec.tags || [],
+    folder: rec.folder || null,
+    device: rec.device || null,
+    language: rec.language || null,
+    // Stable source marker + direct Plaud link for dedupe and navigation.
+    source: rec.id ? { id: rec.id, url: buildPlaudRecordingUrl(baseUrl, rec) } : null,
+    transcriptLength: (rec.transcript || "").length,
+    speakers,
+    processing: PROCESSING_LABELS[processingState(rec)],
+  };
 }
 
-function buildNotionProperties(rec, baseUrl, dbProperties = {}) {
-  const props = {
-    Name: {
-      title: [{ type: "text", text: { content: recordingDisplayName(rec) } }],
-    },
-  };
+function buildNotionProperties(rec, baseUrl, propertyMap) {
+  return buildPropertyValues(propertyMap, recordingFieldValues(rec, baseUrl), {
+    clearSummary: rec._clearSummary === true,
+  });
+}
 
-  // Always set Date so records are sortable even when Plaud omits createdAt.
-  const iso = toNotionDate(rec.createdAt) || new Date().toISOString();
-  props.Date = { date: { start: iso } };
+function transcriptBlocks(rec, transcriptOptions = {}) {
+  if (rec.segments?.length) return buildSegmentBlocks(rec.segments, transcriptOptions);
 
-  const summaryPropName = pickSummaryPropertyName(dbProperties);
-  if (summaryPropName) {
-    if (rec.summary) {
-      props[summaryPropName] = {
-        rich_text: [{ type: "text", text: { content: rec.summary.slice(0, 1900) } }],
-      };
-    } else if (rec._clearSummary === true) {
-      // Explicitly clear known-bad template noise from prior runs.
-      props[summaryPropName] = { rich_text: [] };
-    }
+  const blocks = [];
+  const t = rec.transcript;
+  const chunkSize = 1800;
+  for (let i = 0; i < t.length; i += chunkSize) {
+    blocks.push({
+      object: "block",
+      type: "paragraph",
+      paragraph: { rich_text: [{ type: "text", text: { content: t.slice(i, i + chunkSize) } }] },
+    });
   }
+  return blocks;
+}
 
-  // Stable source marker + direct Plaud link for dedupe and navigation.
-  const plaudUrl = buildPlaudRecordingUrl(baseUrl, rec);
-  if (rec.id) {
-    const sourceType = dbProperties?.Source?.type;
-    const sourceText = `Plaud:${rec.id} | ${plaudUrl}`;
+// "page" or "file" when PLAUD_LONG_TRANSCRIPT moves this recording's transcript out of the
+// page body, null when it stays inline.
+function movedTranscriptMode(rec, transcriptOptions = {}) {
+  const mode = transcriptOptions.long || "inline";
+  if (mode === "inline" || (rec.transcript || "").length <= transcriptOptions.longChars) return null;
+  return mode;
+}
 
-    if (sourceType === "url") {
-      props.Source = { url: plaudUrl };
-    } else {
-      // Default/fallback to rich_text for backwards compatibility.
-      props.Source = { rich_text: [{ type: "text", text: { content: sourceText.slice(0, 1900) } }] };
-    }
+function noteParagraph(content) {
+  return {
+    object: "block",
+    type: "paragraph",
+    paragraph: { rich_text: [{ type: "text", text: { content }, annotations: { italic: true, color: "gray" } }] },
+  };
+}
+
+// The blocks that stand in for a transcript moved to a .txt file. The caption carries a hash
+// of the text, so the block is only replaced when the transcript changes; `prepare` uploads
+// the file once the block is about to be written, so an unchanged transcript is not uploaded
+// again.
+function transcriptFileBlocks(notion, rec) {
+  const fileName = `transcript-${rec.id}.txt`;
+  let data = Buffer.from(rec.transcript, "utf8");
+  const blocks = [];
+  if (data.length > TRANSCRIPT_FILE_MAX_BYTES) {
+    // Drop a character cut in half at the limit.
+    data = Buffer.from(data.subarray(0, TRANSCRIPT_FILE_MAX_BYTES).toString("utf8").replace(/\uFFFD$/, ""), "utf8");
+    const mb = TRANSCRIPT_FILE_MAX_BYTES / (1024 * 1024);
+    blocks.push(noteParagraph(`Transcript cut at ${mb} MB, Notion's upload limit. The full transcript is in Plaud.`));
   }
 
-  return props;
-}
+  const hash = crypto.createHash("sha256").update(data).digest("hex").slice(0, 12);
+  const fileBlock = {
+    object: "block",
+    type: "file",
+    file: {
+      type: "file_upload",
+      file_upload: { id: null },
+      name: fileName,
+      caption: [{ type: "text", text: { content: `${rec.transcript.length} characters · ${hash}` } }],
+    },
+  };
+  blocks.unshift(fileBlock);
 
-function filterPropertiesForDatabase(properties, databasePropertyNames) {
-  const filtered = {};
-  for (const [k, v] of Object.entries(properties || {})) {
-    if (databasePropertyNames.has(k)) filtered[k] = v;
+  async function prepare(toWrite) {
+    if (!toWrite.includes(fileBlock) || fileBlock.file.file_upload.id) return;
+    const upload = await uploadFile(notion, { data, fileName, contentType: "text/plain" });
+    fileBlock.file.file_upload.id = upload.id;
   }
-  return filtered;
+  return { blocks, prepare };
 }
 
-function buildTranscriptChildren(rec, baseUrl) {
+// `transcriptBody` replaces the transcript blocks, for transcripts moved out of the page.
+function buildTranscriptChildren(rec, baseUrl, transcriptOptions = {}, transcriptBody = null) {
   const children = [];
 
   const plaudUrl = buildPlaudRecordingUrl(baseUrl, rec);
@@ -582,16 +981,7 @@ function buildTranscriptChildren(rec, baseUrl) {
       heading_2: { rich_text: [{ type: "text", text: { content: "Summary" } }] },
     });
 
-    const s = rec.summary;
-    const chunkSize = 1800;
-    for (let i = 0; i < s.length; i += chunkSize) {
-      children.push({
-        object: "block",
-        type: "paragraph",
-        paragraph: { rich_text: [{ type: "text", text: { content: s.slice(i, i + chunkSize) } }] },
-      });
-      if (children.length > 50) break;
-    }
+    children.push(...markdownToBlocks(rec.summary));
   }
 
   if (!rec.transcript) return children;
@@ -602,179 +992,943 @@ function buildTranscriptChildren(rec, baseUrl) {
     heading_2: { rich_text: [{ type: "text", text: { content: "Transcript" } }] },
   });
 
-  const t = rec.transcript;
-  const chunkSize = 1800;
-  for (let i = 0; i < t.length; i += chunkSize) {
-    children.push({
-      object: "block",
-      type: "paragraph",
-      paragraph: { rich_text: [{ type: "text", text: { content: t.slice(i, i + chunkSize) } }] },
-    });
-    if (children.length > 90) break;
-  }
-
+  children.push(...(transcriptBody || transcriptBlocks(rec, transcriptOptions)));
   return children;
 }
 
-async function findExistingPageByPlaudId(notion, databaseId, plaudId, dbProperties = {}, baseUrl = "https://web.plaud.ai") {
+async function findExistingPageByPlaudId(notion, databaseId, plaudId, propertyMap, baseUrl = "https://web.plaud.ai") {
   if (!plaudId) return null;
 
+  // Without a text/URL source property there is nothing to match on. Any other failure is
+  // thrown: treating a failed lookup as "not found" would create a duplicate page.
+  const sourceProp = dedupeProperty(propertyMap);
+  if (!sourceProp) return null;
+
+  const filter =
+    sourceProp.type === "url"
+      ? { property: sourceProp.name, url: { equals: buildPlaudRecordingUrl(baseUrl, { id: plaudId }) } }
+      : { property: sourceProp.name, rich_text: { contains: `Plaud:${plaudId}` } };
+
+  const resp = await notion.databases.query({
+    database_id: databaseId,
+    filter,
+    page_size: 1,
+  });
+
+  return resp.results?.[0] || null;
+}
+
+async function retrieveKnownPage(notion, pageId) {
+  if (!pageId) return null;
   try {
-    const sourceType = dbProperties?.Source?.type;
-    let filter = null;
-
-    if (sourceType === "url") {
-      filter = {
-        property: "Source",
-        url: {
-          equals: buildPlaudRecordingUrl(baseUrl, { id: plaudId }),
-        },
-      };
-    } else {
-      filter = {
-        property: "Source",
-        rich_text: {
-          contains: `Plaud:${plaudId}`,
-        },
-      };
-    }
+    const page = await notion.pages.retrieve({ page_id: pageId });
+    return page?.archived || page?.in_trash ? null : page;
+  } catch (err) {
+    // The page was deleted or the integration lost access; look it up by Plaud id instead.
+    if (err?.code === "object_not_found") return null;
+    throw err;
+  }
+}
 
-    const resp = await notion.databases.query({
-      database_id: databaseId,
-      filter,
-      page_size: 1,
-    });
+// Fingerprints of what Notion now holds for the properties just written, on top of the
+// earlier ones for properties this write skipped.
+function writtenFingerprints(page, properties, lastWritten) {
+  const written = { ...(lastWritten || {}) };
+  for (const name of Object.keys(properties)) {
+    written[name] = propertyFingerprint(page?.properties?.[name] || properties[name]);
+  }
+  return written;
+}
 
-    return resp.results?.[0] || null;
-  } catch {
-    // If database schema differs (e.g. no Source field), fail open.
-    return null;
+// Looks for the recording's page in every destination database, the routed one first, so a
+// recording never gets a second page in another database.
+async function findExistingPageInDestinations(notion, rec, destination, destinations, baseUrl) {
+  const seen = new Set();
+  for (const d of [destination, ...destinations]) {
+    if (seen.has(d.databaseId)) continue;
+    seen.add(d.databaseId);
+    const page = await findExistingPageByPlaudId(notion, d.databaseId, rec.id, d.propertyMap, baseUrl);
+    if (page) return page;
   }
+  return null;
 }
 
-async function writeRecordingToNotion(notion, databaseId, rec, baseUrl, dbPropertyNames, dbProperties) {
-  const properties = filterPropertiesForDatabase(buildNotionProperties(rec, baseUrl, dbProperties), dbPropertyNames);
-  const children = buildTranscriptChildren(rec, baseUrl);
+// `destination` is where a new page goes; an existing page is updated in place, with the
+// mapping of the database it is in.
+async function writeRecordingToNotion(
+  notion,
+  rec,
+  baseUrl,
+  {
+    destination,
+    destinations = [destination],
+    knownPageId = null,
+    knownTranscriptPageId = null,
+    transcriptOptions = {},
+    dryRun = false,
+    lastWritten = null,
+    overwriteEdits = false,
+  }
+) {
+  const existing =
+    (await retrieveKnownPage(notion, knownPageId)) ||
+    (await findExistingPageInDestinations(notion, rec, destination, destinations, baseUrl));
+  const home =
+    (existing && destinations.find((d) => d.databaseId === normalizeDbId(existing.parent?.database_id || ""))) ||
+    destination;
+  const { databaseId, propertyMap } = home;
+
+  let properties = buildNotionProperties(rec, baseUrl, propertyMap);
+  const moved = movedTranscriptMode(rec, transcriptOptions);
+  let transcriptBody = null;
+  let prepare = null;
+  if (moved === "page") transcriptBody = [noteParagraph("The full transcript is in the Transcript sub-page below.")];
+  if (moved === "file") ({ blocks: transcriptBody, prepare } = transcriptFileBlocks(notion, rec));
+  const children = buildTranscriptChildren(rec, baseUrl, transcriptOptions, transcriptBody);
+
+  let kept = [];
+  if (existing?.id && !overwriteEdits) {
+    ({ properties, kept } = protectEditedProperties(properties, existing, propertyMap, lastWritten));
+  }
+
+  if (dryRun) {
+    const mode = existing?.id ? "updated" : "created";
+    return { mode, pageId: existing?.id || null, properties, children, kept, destination: home };
+  }
+
+  try {
+    const added = await selectOptionUpdates(databaseId, () =>
+      ensureSelectOptions(notion, databaseId, home.dbProperties, properties)
+    );
+    if (added.length) console.log(`Added Notion select options: ${added.join("; ")}`);
+  } catch (err) {
+    // The page write creates missing options itself; this only keeps them from doubling up.
+    console.log(`Could not add select options: ${err?.message || err}`);
+  }
 
-  const existing = await findExistingPageByPlaudId(notion, databaseId, rec.id, dbProperties, baseUrl);
   if (existing?.id) {
-    await notion.pages.update({
+    const page = await notion.pages.update({
       page_id: existing.id,
       properties,
     });
 
-    // If transcript exists, append once only when we don't already have lots of blocks.
-    if (children.length) {
-      const oldBlocks = await notion.blocks.children.list({ block_id: existing.id, page_size: 10 });
-      if ((oldBlocks.results || []).length < 3) {
-        await notion.blocks.children.append({ block_id: existing.id, children });
-      }
-    }
+    // Replace only the sync-owned section, so better summaries/transcripts land on re-runs.
+    await syncManagedSection(notion, existing.id, children, prepare);
+    const subPage = moved === "page" ? transcriptBlocks(rec, transcriptOptions) : null;
+    const transcriptPageId = await syncTranscriptPage(notion, existing.id, subPage, knownTranscriptPageId);
+
+    const written = writtenFingerprints(page, properties, lastWritten);
+    return { mode: "updated", pageId: existing.id, transcriptPageId, kept, written, destination: home };
+  }
+
+  if (prepare) await prepare(children);
+  const page = await createPageWithSection(notion, { parent: { database_id: databaseId }, properties, children });
+  const transcriptPageId =
+    moved === "page" ? await syncTranscriptPage(notion, page.id, transcriptBlocks(rec, transcriptOptions)) : null;
+  const written = writtenFingerprints(page, properties, null);
+  return { mode: "created", pageId: page.id, transcriptPageId, kept, written, destination: home };
+}
 
-    return "updated";
+function readPlaudSettings() {
+  const mode = String(process.env.PLAUD_MODE || "auto").trim().toLowerCase();
+  if (!PLAUD_MODES.has(mode)) {
+    throw new Error(`Invalid PLAUD_MODE "${mode}". Use one of: ${Array.from(PLAUD_MODES).join(", ")}`);
   }
+  return {
+    email: requireEnv("PLAUD_EMAIL"),
+    password: requireEnv("PLAUD_PASSWORD"),
+    baseUrl: process.env.PLAUD_BASE_URL ? String(process.env.PLAUD_BASE_URL).trim() : "https://web.plaud.ai",
+    apiBaseUrl: process.env.PLAUD_API_BASE_URL ? String(process.env.PLAUD_API_BASE_URL).trim() : undefined,
+    totp: process.env.PLAUD_TOTP_SECRET ? parseTotpSecret(process.env.PLAUD_TOTP_SECRET) : null,
+    mode,
+  };
+}
+
+function readDiagnosticsSettings() {
+  return {
+    enabled: String(process.env.PLAUD_DIAGNOSTICS || "true").toLowerCase() !== "false",
+    dir: resolveDiagnosticsDir(process.env.PLAUD_DIAGNOSTICS_DIR),
+    maxUrls: readPositiveInteger("PLAUD_DIAGNOSTICS_URLS", 50),
+  };
+}
+
+function readTranscriptOptions() {
+  const transcriptOptions = {
+    grouping: String(process.env.PLAUD_TRANSCRIPT_GROUPING || "none").trim().toLowerCase(),
+    sectionMinutes: Number(process.env.PLAUD_TRANSCRIPT_SECTION_MINUTES || 10),
+    long: String(process.env.PLAUD_LONG_TRANSCRIPT || "inline").trim().toLowerCase(),
+    longChars: Number(process.env.PLAUD_LONG_TRANSCRIPT_CHARS || 100000),
+  };
+  if (!TRANSCRIPT_GROUPINGS.has(transcriptOptions.grouping)) {
+    throw new Error(
+      `Invalid PLAUD_TRANSCRIPT_GROUPING "${transcriptOptions.grouping}". Use one of: ${Array.from(TRANSCRIPT_GROUPINGS).join(", ")}`
+    );
+  }
+  if (!LONG_TRANSCRIPT_MODES.has(transcriptOptions.long)) {
+    const modes = Array.from(LONG_TRANSCRIPT_MODES).join(", ");
+    throw new Error(`Invalid PLAUD_LONG_TRANSCRIPT "${transcriptOptions.long}". Use one of: ${modes}`);
+  }
+  if (!(transcriptOptions.longChars > 0)) {
+    throw new Error(`Invalid PLAUD_LONG_TRANSCRIPT_CHARS "${process.env.PLAUD_LONG_TRANSCRIPT_CHARS}"`);
+  }
+  return transcriptOptions;
+}
+
+function readAudioSettings() {
+  const mode = String(process.env.PLAUD_AUDIO || "off").trim().toLowerCase();
+  if (!AUDIO_MODES.has(mode)) {
+    throw new Error(`Invalid PLAUD_AUDIO "${mode}". Use one of: ${Array.from(AUDIO_MODES).join(", ")}`);
+  }
+  const maxMb = Number(process.env.PLAUD_AUDIO_MAX_MB || 100);
+  if (!(maxMb > 0)) throw new Error(`Invalid PLAUD_AUDIO_MAX_MB "${process.env.PLAUD_AUDIO_MAX_MB}"`);
+  return { mode, dir: resolveAudioDir(process.env.PLAUD_AUDIO_DIR), maxBytes: Math.round(maxMb * 1024 * 1024) };
+}
+
+function readDeletionSettings() {
+  const mode = String(process.env.PLAUD_DELETIONS || "off").trim().toLowerCase();
+  if (!DELETION_MODES.has(mode)) {
+    throw new Error(`Invalid PLAUD_DELETIONS "${mode}". Use one of: ${Array.from(DELETION_MODES).join(", ")}`);
+  }
+  const max = Number(process.env.PLAUD_DELETIONS_MAX ?? 5);
+  if (!(max >= 0)) throw new Error(`Invalid PLAUD_DELETIONS_MAX "${process.env.PLAUD_DELETIONS_MAX}"`);
+  return { mode, max };
+}
+
+function readPendingMaxAgeMs() {
+  const days = Number(process.env.PLAUD_PENDING_MAX_AGE_DAYS ?? 7);
+  if (!(days >= 0)) throw new Error(`Invalid PLAUD_PENDING_MAX_AGE_DAYS "${process.env.PLAUD_PENDING_MAX_AGE_DAYS}"`);
+  return days * 24 * 60 * 60 * 1000;
+}
 
-  await notion.pages.create({
-    parent: { database_id: databaseId },
-    properties,
-    children: children.length ? children : undefined,
+function readEnrichmentSettings() {
+  return {
+    tabs: readPositiveInteger("PLAUD_BROWSER_TABS", 4),
+    timeoutMs: readPositiveInteger("PLAUD_DETAIL_TIMEOUT_SECONDS", 20) * 1000,
+  };
+}
+
+function createNotionFromEnv() {
+  return createNotionClient({
+    auth: requireEnv("NOTION_API_KEY"),
+    requestsPerSecond: Number(process.env.NOTION_MAX_RPS || 3),
+    maxRetries: Number(process.env.NOTION_MAX_RETRIES || 5),
   });
-  return "created";
 }
 
-async function main() {
-  console.log("Starting Plaud -> Notion sync...");
+function logDateWindow(dateWindow) {
+  if (!dateWindow.since && !dateWindow.until) return;
+  const from = dateWindow.since ? dateWindow.since.toISOString() : "the beginning";
+  const to = dateWindow.until ? dateWindow.until.toISOString() : "now";
+  console.log(`Limiting sync to recordings from ${from} to ${to}.`);
+}
 
-  const plaudEmail = requireEnv("PLAUD_EMAIL");
-  const plaudPassword = requireEnv("PLAUD_PASSWORD");
-  const notionApiKey = requireEnv("NOTION_API_KEY");
-  const notionDatabaseId = normalizeDbId(requireEnv("NOTION_DATABASE_ID"));
+function filterRecordings(recordings, { dateWindow = {}, ids = null } = {}) {
+  let result = filterByDateWindow(recordings, dateWindow);
+  if (ids?.length) {
+    const wanted = new Set(ids.map(String));
+    result = result.filter((r) => wanted.has(String(r.id)));
+    const missing = ids.filter((id) => !result.some((r) => String(r.id) === String(id)));
+    if (missing.length) console.log(`Not found in Plaud: ${missing.join(", ")}`);
+  }
+  return result;
+}
+
+// Browser captures hold list and detail payloads; merge what each says about a recording.
+function recordingsFromCapturedPayloads(entries, drift) {
+  const byId = new Map();
+  for (const entry of entries) {
+    if (entry.source !== "browser" || !entry.body || typeof entry.body !== "object") continue;
+    for (const rec of adaptPayload(entry.url, entry.body, drift)) {
+      const key = String(rec.id);
+      byId.set(key, byId.has(key) ? mergeRecording(byId.get(key), rec) : rec);
+    }
+  }
+  return Array.from(byId.values());
+}
+
+async function replayPlaudRecordings(dir, { dateWindow = {}, ids = null, drift } = {}) {
+  const entries = await loadCapture(dir);
+  const api = entries.filter((e) => e.source === "api");
+  console.log(`Replaying ${entries.length} captured Plaud responses from ${dir}`);
+
+  if (api.length) {
+    // Captures made with a reused session have no login in them, so the client starts with a
+    // placeholder token instead of logging in.
+    const client = createPlaudApiClient({
+      apiBaseUrl: new URL(api[0].url).origin,
+      token: "replay",
+      fetchImpl: replayFetch(entries),
+    });
+    return (await getPlaudRecordingsViaApi(client, dateWindow, ids, drift)).recordings;
+  }
+  return recordingsFromCapturedPayloads(entries, drift);
+}
 
-  const baseUrl = process.env.PLAUD_BASE_URL ? String(process.env.PLAUD_BASE_URL).trim() : "https://web.plaud.ai";
+// Reads recordings from Plaud (API first, browser as fallback) and closes the browser again.
+// `replay` reads a `capture` directory instead of the network. `drift` collects payloads the
+// adapters did not recognise; callers print it at the end of the run. `listing` is only set
+// when the API listed the whole account, so a missing id there can mean a deleted recording;
+// browser scrapes and replays never say that.
+async function fetchPlaudRecordings({ dateWindow = {}, ids = null, capture = null, replay = null } = {}) {
+  let drift = createDriftReport();
+  if (replay) {
+    const recordings = await replayPlaudRecordings(replay, { dateWindow, ids, drift });
+    const baseUrl = process.env.PLAUD_BASE_URL ? String(process.env.PLAUD_BASE_URL).trim() : "https://web.plaud.ai";
+    const filtered = filterRecordings(recordings, { dateWindow, ids });
+    return { recordings: filtered, baseUrl, client: null, drift, listing: null };
+  }
 
-  const synced = await loadSyncedIds();
-  console.log(`Previously synced: ${synced.size} recordings`);
+  const settings = readPlaudSettings();
+  const recorder = capture ? createCaptureRecorder(capture, { secrets: [settings.email, settings.password] }) : null;
+  if (recorder) console.log(`Capturing Plaud responses to ${capture}`);
+  const diagnostics = createDiagnostics({
+    ...readDiagnosticsSettings(),
+    secrets: [settings.email, settings.password],
+  });
 
-  const browser = await puppeteer.launch({
-    headless: "new",
-    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  const sessionStore = createSessionStore({
+    filePath: resolveSessionFile(process.env.PLAUD_SESSION_FILE),
+    secret: process.env.PLAUD_SESSION_SECRET || `${settings.email}\n${settings.password}`,
+    enabled: String(process.env.PLAUD_REUSE_SESSION || "true").toLowerCase() !== "false",
   });
+  const session = await sessionStore.load();
+
+  // The browser is only launched when API mode is disabled or fails.
+  let browser = null;
+  let recordings = null;
+  let client = null;
+  let listing = null;
 
   try {
-    const page = await browser.newPage();
-    page.setDefaultTimeout(60000);
+    if (settings.mode !== "browser") {
+      diagnostics.step("api");
+      try {
+        client = createPlaudApiClient({
+          apiBaseUrl: settings.apiBaseUrl || session.apiBaseUrl,
+          email: settings.email,
+          password: settings.password,
+          token: session.apiToken || null,
+          fetchImpl: diagnostics.fetch(recorder ? capturingFetch(recorder) : globalThis.fetch),
+          onLogin: ({ token, apiBaseUrl: resolvedApiBaseUrl }) =>
+            sessionStore.save({ apiToken: token, apiBaseUrl: resolvedApiBaseUrl }),
+        });
+        if (session.apiToken) console.log("Reusing saved Plaud API session.");
+        ({ recordings, listing } = await getPlaudRecordingsViaApi(client, dateWindow, ids, drift));
+      } catch (err) {
+        if (settings.mode === "api") throw err;
+        console.log(`Plaud API mode failed (${err?.message || err}). Falling back to browser scrape...`);
+        recordings = null;
+        client = null;
+        // Only the source that produced the recordings matters for the report.
+        drift = createDriftReport();
+      }
+    }
 
-    await loginToPlaud(page, baseUrl, plaudEmail, plaudPassword);
+    if (!recordings) {
+      browser = await puppeteer.launch({
+        headless: "new",
+        args: ["--no-sandbox", "--disable-setuid-sandbox"],
+      });
+      recordings = await getPlaudRecordingsViaBrowser(
+        browser,
+        settings,
+        sessionStore,
+        dateWindow,
+        recorder,
+        drift,
+        diagnostics
+      );
+      const browserToken = browserSessionToken(sessionStore.data.browser);
+      if (browserToken) {
+        client = createPlaudApiClient({ apiBaseUrl: settings.apiBaseUrl || session.apiBaseUrl, token: browserToken });
+      }
+    }
+  } catch (err) {
+    // Saved before the browser closes, so the bundle has the page as it was.
+    await diagnostics.save(err);
+    throw err;
+  } finally {
+    if (browser) await browser.close();
+  }
 
-    const recordings = await getPlaudRecordings(page, baseUrl);
+  recordings = filterRecordings(recordings, { dateWindow, ids });
+  if (recorder) console.log(`Saved ${recorder.count} captured responses to ${capture}`);
+
+  if (PLAUD_DEBUG) {
+    console.log(`DEBUG: extracted ${recordings.length} recordings`);
+    for (const rec of recordings.slice(0, 8)) {
+      const d = rec._debug || {};
+      console.log(
+        `DEBUG_REC id=${rec.id} title=${JSON.stringify(rec.title)} summaryLen=${(rec.summary || "").length} transcriptLen=${(rec.transcript || "").length} segments=${(rec.segments || []).length}`
+      );
+      if (d.rawKeys) console.log(`DEBUG_KEYS ${rec.id}: ${d.rawKeys.join(",")}`);
+      if (d.summaryLens) console.log(`DEBUG_SUMMARY_LENS ${rec.id}: ${d.summaryLens.join(",")}`);
+      if (d.transcriptLens) console.log(`DEBUG_TRANSCRIPT_LENS ${rec.id}: ${d.transcriptLens.join(",")}`);
+    }
+  }
+
+  // `client` is null when only the browser worked and it exposed no API token.
+  return { recordings, baseUrl: settings.baseUrl, client, drift, listing };
+}
+
+// Sync target that writes one page per recording into a Notion database, plus the optional
+// tasks database and audio attachments. Progress is kept in the sync state file.
+async function createNotionTarget({ transcriptOptions, dryRun, overwriteEdits, report = null }) {
+  const notionDatabaseId = normalizeDbId(requireEnv("NOTION_DATABASE_ID"));
+  const audioSettings = readAudioSettings();
+  const deletions = readDeletionSettings();
+  // Dry runs print each write as a block, so they stay one at a time.
+  const concurrency = dryRun ? 1 : readPositiveInteger("NOTION_CONCURRENCY", 3);
+
+  const syncState = await loadSyncState(resolveStateFile(process.env.SYNC_STATE_FILE));
+  console.log(`Previously synced: ${syncState.size} recordings`);
+
+  const notion = createNotionFromEnv();
+
+  const configPath = resolveConfigFile(process.env.PLAUD_NOTION_CONFIG);
+  const config = await loadPropertyConfig(configPath, { required: Boolean(process.env.PLAUD_NOTION_CONFIG) });
+  if (config) console.log(`Using property mapping from ${configPath}`);
+  const routes = routesFromConfig(config);
+
+  // Schemas are retrieved once per database, however many routes write to it.
+  const schemas = new Map();
+  function retrieveSchema(databaseId) {
+    if (!schemas.has(databaseId)) {
+      schemas.set(databaseId, notion.databases.retrieve({ database_id: databaseId }).then((db) => db.properties || {}));
+    }
+    return schemas.get(databaseId);
+  }
+
+  // A database the sync writes to, with its schema, property mapping and optional tasks database.
+  async function loadDestination({ name, databaseId, properties, tasksDatabaseId }) {
+    const dbProperties = await retrieveSchema(databaseId);
+    const propertyMap = properties ? propertyMapFromConfig({ properties }) : defaultPropertyMap(dbProperties);
+    const source = properties ? `${configPath} (${name})` : `the inferred mapping for ${name}`;
+    assertValidPropertyMap(propertyMap, dbProperties, source);
+    if (!dedupeProperty(propertyMap)) {
+      console.log(`Warning: no text/URL property maps the Plaud source in ${name}, so pages can't be matched.`);
+    }
+    if (deletions.mode === "checkbox" && dbProperties[DELETED_PROPERTY]?.type !== "checkbox") {
+      throw new Error(`PLAUD_DELETIONS=checkbox needs a checkbox property "${DELETED_PROPERTY}" in ${name}.`);
+    }
+    const taskSync = tasksDatabaseId
+      ? createTaskSync(notion, { databaseId: tasksDatabaseId, recordingsDatabaseId: databaseId })
+      : null;
+    if (taskSync) await taskSync.init();
+    return { name, databaseId, dbProperties, propertyMap, taskSync };
+  }
+
+  if (config && config.properties === undefined && !routes.length) {
+    throw new Error(`Config ${configPath} needs a "properties" mapping or "routes".`);
+  }
+  const fallback = await loadDestination({
+    name: "the default database",
+    databaseId: notionDatabaseId,
+    properties: config?.properties,
+    tasksDatabaseId: process.env.NOTION_TASKS_DATABASE_ID ? normalizeDbId(process.env.NOTION_TASKS_DATABASE_ID) : null,
+  });
+  const routed = [];
+  for (const route of routes) {
+    routed.push(
+      await loadDestination({
+        name: `route "${route.name}"`,
+        databaseId: normalizeDbId(route.database),
+        properties: route.properties,
+        tasksDatabaseId: route.tasksDatabase ? normalizeDbId(route.tasksDatabase) : null,
+      })
+    );
+  }
+  const destinations = [fallback, ...routed];
+  if (routes.length) {
+    console.log(`Routing recordings with ${routes.length} rules across ${schemas.size} Notion databases.`);
+  }
+
+  function destinationOfDatabase(databaseId) {
+    return databaseId ? destinations.find((d) => d.databaseId === normalizeDbId(databaseId)) || null : null;
+  }
+
+  // Where the recording's page already lives, or where its route says to create it.
+  function destinationFor(rec) {
+    const known = destinationOfDatabase(syncState.get(rec.id)?.notionDatabaseId);
+    if (known) return known;
+    const route = routeFor(routes, rec);
+    return route ? routed[routes.indexOf(route)] : fallback;
+  }
+
+  const stats = { tasksCreated: 0, audioAttached: 0, audioFailed: 0, deleted: 0 };
+  const hashes = new Map();
+  let audioSync = null;
+
+  const hashOf = (rec, destination = destinationFor(rec)) => {
+    const cached = hashes.get(rec);
+    if (cached?.databaseId === destination.databaseId) return cached.hash;
+    const hash = contentHash(rec, { transcript: transcriptOptions, properties: destination.propertyMap });
+    hashes.set(rec, { databaseId: destination.databaseId, hash });
+    return hash;
+  };
 
-    if (PLAUD_DEBUG) {
-      console.log(`DEBUG: extracted ${recordings.length} recordings`);
-      for (const rec of recordings.slice(0, 8)) {
-        const d = rec._debug || {};
+  // Audio problems are reported but never undo or fail the page write itself.
+  async function syncAudio(rec, pageId) {
+    try {
+      const audio = await audioSync.syncRecordingAudio(rec, pageId);
+      syncState.set(rec.id, { audio });
+      if (audio.status === "attached") stats.audioAttached += 1;
+    } catch (err) {
+      stats.audioFailed += 1;
+      syncState.set(rec.id, { audio: { status: "failed", error: String(err?.message || err) } });
+      report?.warn(rec, `audio failed: ${err?.message || err}`);
+      console.error(`Audio for ${rec.id} failed (retried next run): ${err?.message || err}`);
+    }
+  }
+
+  // Archives or flags one page; the state keeps the record so a restored recording finds it again.
+  async function markDeleted(id, pageId) {
+    if (deletions.mode === "archive") {
+      await notion.pages.update({ page_id: pageId, archived: true });
+    } else {
+      await notion.pages.update({ page_id: pageId, properties: { [DELETED_PROPERTY]: { checkbox: true } } });
+    }
+    syncState.set(id, { deletedInPlaudAt: new Date().toISOString() });
+  }
+
+  // Undoes markDeleted when a recording comes back (restored from Plaud's trash). Both kinds
+  // are undone, in case PLAUD_DELETIONS changed in between.
+  async function restoreDeleted(id, pageId) {
+    const { dbProperties } = destinationOfDatabase(syncState.get(id)?.notionDatabaseId) || fallback;
+    const flagged = dbProperties[DELETED_PROPERTY]?.type === "checkbox";
+    await notion.pages.update({
+      page_id: pageId,
+      archived: false,
+      ...(flagged ? { properties: { [DELETED_PROPERTY]: { checkbox: false } } } : {}),
+    });
+    syncState.set(id, { deletedInPlaudAt: null });
+    console.log(`Recording ${id} is back in Plaud; restored its Notion page.`);
+  }
+
+  return {
+    name: "Notion",
+    stats,
+    concurrency,
+
+    prepare({ client }) {
+      if (audioSettings.mode === "off") return;
+      if (client) {
+        audioSync = createAudioSync(notion, { ...audioSettings, getAudioUrl: (id) => client.getAudioUrl(id) });
+      } else {
+        console.log("Warning: no Plaud API session is available, so audio is not downloaded this run.");
+      }
+    },
+
+    isUnchanged(rec) {
+      return Boolean(rec?.id) && !syncState.get(rec.id)?.deletedInPlaudAt && syncState.isUnchanged(rec, hashOf(rec));
+    },
+
+    async onUnchanged(rec) {
+      const prior = syncState.get(rec.id);
+      if (audioSync?.needsAudio(prior) && !dryRun) await syncAudio(rec, prior.notionPageId);
+    },
+
+    // Recordings written before Plaud finished processing them that are still worth re-checking.
+    // Older sync history marked them "low-signal".
+    recheckIds(maxAgeMs) {
+      const now = Date.now();
+      const ids = [];
+      let expired = 0;
+      for (const id of syncState.ids()) {
+        const state = syncState.get(id);
+        if (!state.notionPageId || state.deletedInPlaudAt || !INCOMPLETE_STATES.has(state.contentStatus)) continue;
+        const since = Date.parse(state.pendingSince || state.lastSyncedAt || "");
+        if (Number.isFinite(since) && now - since > maxAgeMs) expired += 1;
+        else ids.push(id);
+      }
+      if (expired) {
+        console.log(`${expired} incomplete recordings are past PLAUD_PENDING_MAX_AGE_DAYS; not re-checking them.`);
+      }
+      return ids;
+    },
+
+    async write(rec, { baseUrl }) {
+      const prior = rec?.id ? syncState.get(rec.id) : null;
+      const destination = destinationFor(rec);
+      const where = routes.length ? ` (${destination.name})` : "";
+      if (!dryRun) console.log(`Upserting Notion${where}: ${rec.title || "(untitled)"} (${rec.id || "no-id"})`);
+      if (prior?.deletedInPlaudAt && prior.notionPageId && !dryRun) await restoreDeleted(rec.id, prior.notionPageId);
+      const write = await writeRecordingToNotion(notion, rec, baseUrl, {
+        destination,
+        destinations,
+        knownPageId: prior?.notionPageId,
+        knownTranscriptPageId: prior?.transcriptPageId,
+        transcriptOptions,
+        dryRun,
+        lastWritten: prior?.properties,
+        overwriteEdits,
+      });
+      if (write.kept.length) {
+        const names = write.kept.map((name) => `"${name}"`).join(", ");
+        console.log(`${dryRun ? "[dry-run] would keep" : "Keeping"} ${names} edited in Notion (${rec.id})`);
+      }
+
+      const { taskSync } = write.destination;
+
+      if (dryRun) {
+        const verb = write.mode === "created" ? "create" : `update ${write.pageId}`;
+        const into = routes.length ? ` in ${write.destination.name}` : "";
+        console.log(`[dry-run] would ${verb}${into}: ${recordingDisplayName(rec)} (${rec.id || "no-id"})`);
+        console.log(JSON.stringify(write.properties, null, 2).replace(/^/gm, "    "));
+        console.log(`    body: ${write.children.length} blocks in the synced section`);
+        const taskCount = taskSync ? extractActionItems(rec.summary, rec.createdAt).length : 0;
+        if (taskCount) console.log(`    tasks: ${taskCount} action items`);
+        if (audioSync?.needsAudio(prior)) {
+          console.log(`    audio: would ${audioSettings.mode === "attach" ? "download and attach" : "download"}`);
+        }
+        return write;
+      }
+
+      if (rec?.id) {
+        const now = new Date().toISOString();
+        const contentStatus = processingState(rec);
+        syncState.set(rec.id, {
+          notionPageId: write.pageId,
+          transcriptPageId: write.transcriptPageId,
+          notionDatabaseId: write.destination.databaseId,
+          contentHash: hashOf(rec, write.destination),
+          lastSyncedAt: now,
+          contentStatus,
+          pendingSince: contentStatus === "complete" ? null : prior?.pendingSince || now,
+          properties: write.written,
+        });
+      }
+
+      if (taskSync && rec.summary) {
+        const taskCounts = await taskSync.syncRecordingTasks(rec, write.pageId);
+        stats.tasksCreated += taskCounts.created;
+      }
+
+      if (rec?.id && audioSync?.needsAudio(syncState.get(rec.id))) await syncAudio(rec, write.pageId);
+      return write;
+    },
+
+    // Pages whose recording is no longer in a complete Plaud listing. More than
+    // PLAUD_DELETIONS_MAX of them at once looks like a broken listing, not a clean-up.
+    async propagateDeletions(listing) {
+      if (deletions.mode === "off") return;
+      if (!listing?.complete) {
+        console.log("Skipping the deletion check: this run did not see the full Plaud listing.");
+        return;
+      }
+
+      const listed = new Set(listing.ids);
+      const gone = syncState.ids().filter((id) => {
+        const state = syncState.get(id);
+        return state.notionPageId && !state.deletedInPlaudAt && !listed.has(id);
+      });
+      if (!gone.length) return;
+      if (!listed.size || gone.length > deletions.max) {
         console.log(
-          `DEBUG_REC id=${rec.id} title=${JSON.stringify(rec.title)} summaryLen=${(rec.summary || "").length} transcriptLen=${(rec.transcript || "").length}`
+          `Warning: ${gone.length} synced recordings are missing from the Plaud listing (limit ${deletions.max}). ` +
+            "Leaving their pages alone; if they really were deleted, raise PLAUD_DELETIONS_MAX for one run."
         );
-        if (d.rawKeys) console.log(`DEBUG_KEYS ${rec.id}: ${d.rawKeys.join(",")}`);
-        if (d.summaryLens) console.log(`DEBUG_SUMMARY_LENS ${rec.id}: ${d.summaryLens.join(",")}`);
-        if (d.transcriptLens) console.log(`DEBUG_TRANSCRIPT_LENS ${rec.id}: ${d.transcriptLens.join(",")}`);
+        return;
       }
-    }
 
-    const notion = new Client({ auth: notionApiKey });
-    const db = await notion.databases.retrieve({ database_id: notionDatabaseId });
-    const dbProperties = db.properties || {};
-    const dbPropertyNames = new Set(Object.keys(dbProperties));
+      const verb = deletions.mode === "archive" ? "archive" : `mark "${DELETED_PROPERTY}" on`;
+      for (const id of gone) {
+        const { notionPageId } = syncState.get(id);
+        if (dryRun) {
+          console.log(`[dry-run] would ${verb} the page for deleted recording ${id}`);
+          stats.deleted += 1;
+          continue;
+        }
+        try {
+          await markDeleted(id, notionPageId);
+          stats.deleted += 1;
+          const done = deletions.mode === "archive" ? "archived" : "flagged";
+          console.log(`Recording ${id} was deleted in Plaud; ${done} its page.`);
+        } catch (err) {
+          console.error(`Could not ${verb} the page for deleted recording ${id}: ${err?.message || err}`);
+        }
+      }
+    },
+
+    async finish() {
+      if (!dryRun) await syncState.save();
+    },
+
+    describeStats() {
+      return (
+        (destinations.some((d) => d.taskSync) && !dryRun ? ` Tasks created ${stats.tasksCreated}.` : "") +
+        (audioSync && !dryRun ? ` Audio attached ${stats.audioAttached}, audio failed ${stats.audioFailed}.` : "") +
+        (deletions.mode !== "off" ? ` Deleted in Plaud ${stats.deleted}.` : "")
+      );
+    },
+  };
+}
 
-    let created = 0;
-    let updated = 0;
-    let skipped = 0;
-    let lowSignal = 0;
+function createTarget(name, options) {
+  switch (name) {
+    case "notion":
+      return createNotionTarget(options);
+    case "markdown":
+      return createMarkdownTarget({
+        dir: resolveMarkdownDir(process.env.MARKDOWN_DIR),
+        transcriptOptions: options.transcriptOptions,
+        dryRun: options.dryRun,
+        recordingUrl: buildPlaudRecordingUrl,
+      });
+    default:
+      throw new Error(`Invalid sync target "${name}". Use one of: ${Array.from(SYNC_TARGETS).join(", ")}`);
+  }
+}
 
-    // Safety: if one bad summary string appears repeatedly, don't propagate it.
-    const seenSummaries = new Map();
+// Runs one sync. `ids` limits the run to those recordings and `force` rewrites them even
+// when their content hash is unchanged (that is what `resync` does). `target` picks where
+// recordings are written (SYNC_TARGET, default "notion"). `reportFile` (or SYNC_REPORT_FILE)
+// receives the JSON run report, also when the run fails; notifiers fire from the same report.
+export async function runSync({
+  dateWindow = {},
+  dryRun = false,
+  ids = null,
+  force = false,
+  overwriteEdits = false,
+  target: targetName,
+  capture = null,
+  replay = null,
+  reportFile = null,
+} = {}) {
+  const name = String(targetName || process.env.SYNC_TARGET || "notion").trim().toLowerCase();
+  const label = name === "markdown" ? "Markdown" : "Notion";
+  const report = createRunReport({ command: ids ? "resync" : "sync", dryRun, target: name });
+  const reportPath = resolveReportFile(reportFile || process.env.SYNC_REPORT_FILE);
+  const notifySettings = readNotifySettings();
+  let result = null;
+  let drift = null;
 
-    for (const rec of recordings) {
-      if (!shouldUpsert(rec)) {
-        skipped += 1;
-        continue;
+  try {
+    result = await syncRecordings({
+      name,
+      label,
+      report,
+      dateWindow,
+      dryRun,
+      ids,
+      force,
+      overwriteEdits,
+      capture,
+      replay,
+      onDrift: (d) => (drift = d),
+    });
+    return result;
+  } catch (err) {
+    report.fail(err);
+    throw err;
+  } finally {
+    report.finish({ result, runWarnings: drift?.lines() || [] });
+    if (reportPath) {
+      try {
+        await report.write(reportPath);
+        console.log(`Wrote the run report to ${reportPath}`);
+      } catch (err) {
+        console.error(`Could not write the run report to ${reportPath}: ${err?.message || err}`);
       }
+    }
+    await notifyRun(report.toJSON(), notifySettings);
+  }
+}
 
-      const normalizedSummary = (rec.summary || "").trim();
-      if (normalizedSummary) {
-        if (isTemplateNoise(normalizedSummary)) {
+async function syncRecordings({
+  name,
+  label,
+  report,
+  dateWindow,
+  dryRun,
+  ids,
+  force,
+  overwriteEdits,
+  capture,
+  replay,
+  onDrift,
+}) {
+  console.log(
+    dryRun ? `Starting Plaud -> ${label} sync (dry run, nothing is written)...` : `Starting Plaud -> ${label} sync...`
+  );
+  logDateWindow(dateWindow);
+
+  if (!replay) readPlaudSettings();
+  const transcriptOptions = readTranscriptOptions();
+
+  // Check the target first so a mapping mistake fails before the slow Plaud step.
+  const target = await createTarget(name, { transcriptOptions, dryRun, overwriteEdits, report });
+
+  const { recordings, baseUrl, client, drift, listing } = await report.time("plaud", () =>
+    fetchPlaudRecordings({ dateWindow, ids, capture, replay })
+  );
+  onDrift(drift);
+  target.prepare?.({ client });
+
+  // Recordings synced before Plaud finished them may be outside this run's listing (older than
+  // --since, or past the browser's first page); fetch those directly so they still complete.
+  // A full listing already has every recording that still exists.
+  const recheck =
+    !ids && !listing?.complete && client && target.recheckIds ? target.recheckIds(readPendingMaxAgeMs()) : [];
+  const listed = new Set(recordings.map((r) => String(r.id)));
+  const missing = recheck.filter((id) => !listed.has(id));
+  if (missing.length) {
+    console.log(`Re-checking ${missing.length} recordings Plaud was still processing...`);
+    const rechecked = await report.time("plaud", () => getPlaudRecordingsViaApi(client, {}, missing, drift));
+    recordings.push(...rechecked.recordings);
+  }
+
+  const result = {
+    total: recordings.length,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    lowSignal: 0,
+    skipped: 0,
+    failed: 0,
+    drift: drift.size,
+  };
+
+  // Safety: if one bad summary string appears repeatedly, don't propagate it.
+  const seenSummaries = new Map();
+
+  const toWrite = [];
+  for (const rec of recordings) {
+    if (!shouldUpsert(rec)) {
+      result.skipped += 1;
+      report.record(rec, "skipped", "no id, title, date or link");
+      continue;
+    }
+    for (const warning of drift.warningsFor?.(rec.id) || []) report.warn(rec, warning);
+
+    const normalizedSummary = (rec.summary || "").trim();
+    if (normalizedSummary) {
+      if (isTemplateNoise(normalizedSummary)) {
+        rec.summary = "";
+        rec._clearSummary = true;
+        report.warn(rec, "summary looked like template text; cleared");
+      } else {
+        const count = (seenSummaries.get(normalizedSummary) || 0) + 1;
+        seenSummaries.set(normalizedSummary, count);
+        // If same summary appears for many recordings in one run, treat as bad extraction.
+        if (count >= 3) {
           rec.summary = "";
           rec._clearSummary = true;
-        } else {
-          const count = (seenSummaries.get(normalizedSummary) || 0) + 1;
-          seenSummaries.set(normalizedSummary, count);
-          // If same summary appears for many recordings in one run, treat as bad extraction.
-          if (count >= 3) {
-            rec.summary = "";
-            rec._clearSummary = true;
-          }
+          report.warn(rec, "summary repeated across recordings; cleared");
         }
       }
+    }
 
-      const useful = hasUsefulContent(rec);
-      if (!useful) lowSignal += 1;
-
-      console.log(`Upserting Notion: ${rec.title || "(untitled)"} (${rec.id || "no-id"})`);
-      const mode = await writeRecordingToNotion(notion, notionDatabaseId, rec, baseUrl, dbPropertyNames, dbProperties);
-      if (rec?.id) synced.add(String(rec.id));
-      if (mode === "created") created += 1;
-      if (mode === "updated") updated += 1;
+    if (!hasUsefulContent(rec)) {
+      result.lowSignal += 1;
+      report.lowSignal(rec);
     }
+    toWrite.push(rec);
+  }
 
-    await saveSyncedIds(synced);
+  // Writes run side by side up to the target's limit; the Notion client paces the requests.
+  await report.time("write", () =>
+    forEachConcurrently(toWrite, target.concurrency || 1, async (rec) => {
+      const started = Date.now();
+      try {
+        if (!force && (await target.isUnchanged(rec, { baseUrl }))) {
+          result.unchanged += 1;
+          await target.onUnchanged?.(rec);
+          report.record(rec, "unchanged", "content hash unchanged", Date.now() - started);
+          return;
+        }
 
-    console.log(`Done. Created ${created}, updated ${updated}, low-signal ${lowSignal}, skipped ${skipped}.`);
-  } finally {
-    await browser.close();
-  }
+        const write = await target.write(rec, { baseUrl });
+        if (write.mode === "created") result.created += 1;
+        if (write.mode === "updated") result.updated += 1;
+        if (write.kept?.length) report.warn(rec, `kept properties edited in Notion: ${write.kept.join(", ")}`);
+        const reason = write.mode === "created" ? "new recording" : force ? "resync requested" : "content changed";
+        report.record(rec, write.mode, reason, Date.now() - started);
+      } catch (err) {
+        // One bad recording should not stop the rest; the exit code reports partial failure.
+        result.failed += 1;
+        report.record(rec, "failed", err?.message || err, Date.now() - started);
+        console.error(`Failed to sync ${rec.id || "no-id"}: ${err?.message || err}`);
+      }
+    })
+  );
+
+  if (!ids) await target.propagateDeletions?.(listing);
+  await target.finish?.();
+  Object.assign(result, target.stats || {});
+
+  const prefix = dryRun ? "Dry run done. Would create" : "Done. Created";
+  console.log(
+    `${prefix} ${result.created}, ${dryRun ? "would update" : "updated"} ${result.updated}, unchanged ${result.unchanged}, ` +
+      `low-signal ${result.lowSignal}, skipped ${result.skipped}, failed ${result.failed}.` +
+      (target.describeStats?.() || "")
+  );
+  drift.print();
+  return result;
 }
 
-main().catch((err) => {
-  console.error("Sync failed:", err?.stack || err?.message || err);
-  process.exit(1);
-});
+// Recordings as Plaud returns them right now, with content and sync-history status.
+export async function listPlaudRecordings({ dateWindow = {}, capture = null, replay = null } = {}) {
+  logDateWindow(dateWindow);
+  const syncState = await loadSyncState(resolveStateFile(process.env.SYNC_STATE_FILE));
+  const { recordings, drift } = await fetchPlaudRecordings({ dateWindow, capture, replay });
+  drift.print();
+
+  return recordings.map((rec) => ({
+    id: rec.id,
+    date: toNotionDate(rec.createdAt)?.slice(0, 10) || "",
+    title: recordingDisplayName(rec),
+    content: processingState(rec),
+    synced: syncState.get(rec.id)?.lastSyncedAt ? "synced" : "new",
+    summaryLength: (rec.summary || "").length,
+    transcriptLength: (rec.transcript || "").length,
+  }));
+}
+
+export async function readSyncStatus() {
+  const filePath = resolveStateFile(process.env.SYNC_STATE_FILE);
+  const syncState = await loadSyncState(filePath);
+  return { filePath, ...syncState.summary() };
+}
+
+export { parseDateWindow };
+
+export async function runSchemaCommand(command, args = {}) {
+  const notion = createNotionFromEnv();
+  const configPath = resolveConfigFile(process.env.PLAUD_NOTION_CONFIG);
+  const config = await loadPropertyConfig(configPath, { required: Boolean(process.env.PLAUD_NOTION_CONFIG) });
+  if (config) console.log(`Using property mapping from ${configPath}`);
+
+  if (command === "init" && args.parent) {
+    const map = config?.properties ? propertyMapFromConfig(config) : recommendedPropertyMap({});
+    const title = String(args.title || "Plaud Recordings");
+    console.log(`Creating database "${title}" under page ${args.parent} with properties:`);
+    for (const entry of map) console.log(`  - ${entry.name} (${entry.type})`);
+    if (!(await confirm("Create it?", { assumeYes: args.yes === true }))) return 1;
+
+    const created = await createDatabase(notion, normalizeDbId(args.parent), title, map);
+    console.log(`Created database ${normalizeDbId(created.id)}. Set NOTION_DATABASE_ID to this id.`);
+    return 0;
+  }
+
+  const databaseId = normalizeDbId(requireEnv("NOTION_DATABASE_ID"));
+  const db = await notion.databases.retrieve({ database_id: databaseId });
+  const dbProperties = db.properties || {};
+  const map = config?.properties ? propertyMapFromConfig(config) : recommendedPropertyMap(dbProperties);
+  const plan = planSchemaChanges(map, dbProperties);
+  const validationErrors = validatePropertyMap(map, dbProperties);
+  const dbTitle = (db.title || []).map((t) => t?.plain_text || "").join("");
+  printSchemaReport(dbTitle, map, plan, validationErrors);
+
+  const mappingOk = validationErrors.every((e) => /does not exist|in Notion, but/.test(e));
+  if (isPlanEmpty(plan)) return mappingOk ? 0 : 1;
+  if (command === "doctor") {
+    console.log('Run "init" to fix the schema problems above.');
+    return 1;
+  }
+
+  if (!(await confirm("Apply these changes to the Notion database?", { assumeYes: args.yes === true }))) return 1;
+  await applySchemaChanges(notion, databaseId, plan);
+  console.log("Notion database schema updated.");
+  return mappingOk ? 0 : 1;
+}
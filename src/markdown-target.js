@@ -0,0 +1,246 @@
+import fs from "fs/promises";
+import path from "path";
+import { segmentsToMarkdown } from "./transcript.js";
+
+// Sync target that writes each recording as a Markdown file into a local folder (for
+// example an Obsidian vault):
+//
+//   ---
+//   plaud_id: "…"
+//   title: "Weekly sync"
+//   date: 2024-05-01T10:00:00.000Z
+//   duration: 42.5            (minutes)
+//   tags:
+//     - plaud
+//   folder: "Clients"         (and language, device, speakers when Plaud reports them)
+//   source: "https://web.plaud.ai/…"
+//   ---
+//   <!-- plaud-sync:start -->
+//   ## Summary … ## Transcript …
+//   <!-- plaud-sync:end -->
+//
+// The file is named "<YYYY-MM-DD> <title>.md" when it is first written and found again by its
+// plaud_id afterwards, so renaming a recording (or the file) never creates a duplicate.
+// Like the Notion page body, only the frontmatter keys above and the text between the
+// markers are rewritten; other frontmatter keys and notes outside the markers are kept.
+
+export const DEFAULT_MARKDOWN_DIR = "plaud-notes";
+
+const START_MARKER = "<!-- plaud-sync:start -->";
+const END_MARKER = "<!-- plaud-sync:end -->";
+const OWNED_KEYS = [
+  "plaud_id",
+  "title",
+  "date",
+  "duration",
+  "tags",
+  "folder",
+  "language",
+  "device",
+  "speakers",
+  "source",
+];
+
+export function resolveMarkdownDir(value) {
+  return path.resolve(process.cwd(), String(value || DEFAULT_MARKDOWN_DIR).trim());
+}
+
+// Characters that are invalid in file names on Windows/macOS or special in Obsidian links.
+function safeFileTitle(title) {
+  const cleaned = String(title || "")
+    .replace(/[\\/:*?"<>|#^[\]]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80)
+    .trim();
+  return cleaned || "Plaud Recording";
+}
+
+function dateOnly(value) {
+  const d = value ? new Date(value) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : "undated";
+}
+
+export function markdownFileName(rec) {
+  return `${dateOnly(rec?.createdAt)} ${safeFileTitle(rec?.title)}.md`;
+}
+
+// JSON strings are valid double-quoted YAML scalars.
+function yamlString(value) {
+  return JSON.stringify(String(value ?? ""));
+}
+
+function tagName(tag) {
+  // Obsidian tags cannot contain spaces.
+  return String(tag).trim().replace(/\s+/g, "-").replace(/^#/, "");
+}
+
+function frontmatterEntries(rec, sourceUrl) {
+  const entries = [["plaud_id", yamlString(rec.id)], ["title", yamlString(rec.title || "Plaud Recording")]];
+  const d = rec.createdAt ? new Date(rec.createdAt) : null;
+  if (d && !Number.isNaN(d.getTime())) entries.push(["date", d.toISOString()]);
+  if (Number.isFinite(rec.durationMs)) {
+    entries.push(["duration", String(Math.round((rec.durationMs / 60000) * 100) / 100)]);
+  }
+  const tags = Array.from(new Set(["plaud", ...(rec.tags || []).map(tagName).filter(Boolean)]));
+  entries.push(["tags", `\n${tags.map((t) => `  - ${yamlString(t)}`).join("\n")}`]);
+  if (rec.folder) entries.push(["folder", yamlString(rec.folder)]);
+  if (rec.language) entries.push(["language", yamlString(rec.language)]);
+  if (rec.device) entries.push(["device", yamlString(rec.device)]);
+  if (rec.speakers?.length) {
+    entries.push(["speakers", `\n${rec.speakers.map((s) => `  - ${yamlString(s)}`).join("\n")}`]);
+  }
+  if (sourceUrl) entries.push(["source", yamlString(sourceUrl)]);
+  return entries;
+}
+
+// Splits frontmatter into top-level keys, each with its (possibly multi-line) raw value.
+function parseFrontmatter(text) {
+  const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!m) return { keys: [], body: text };
+  const keys = [];
+  for (const line of m[1].split(/\r?\n/)) {
+    const key = line.match(/^([A-Za-z0-9_-]+):(.*)$/);
+    if (key) keys.push({ key: key[1], raw: line });
+    else if (keys.length) keys[keys.length - 1].raw += `\n${line}`;
+  }
+  return { keys, body: text.slice(m[0].length) };
+}
+
+// Plaud summaries use their own "#"/"##" headings; push them below the "## Summary" heading.
+function nestHeadings(markdown) {
+  let inFence = false;
+  return markdown
+    .split("\n")
+    .map((line) => {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+      if (inFence) return line;
+      return line.replace(/^(\s{0,3})(#{1,4})(\s)/, "$1$2##$3");
+    })
+    .join("\n");
+}
+
+function renderBody(rec, sourceUrl, transcriptOptions) {
+  const parts = [`# ${rec.title || "Plaud Recording"}`];
+  if (sourceUrl) parts.push(`[Open in Plaud](${sourceUrl})`);
+  if (rec.summary) parts.push("## Summary", nestHeadings(rec.summary.replace(/\r\n?/g, "\n").trim()));
+  if (rec.transcript) {
+    parts.push(
+      "## Transcript",
+      rec.segments?.length ? segmentsToMarkdown(rec.segments, transcriptOptions) : rec.transcript.trim()
+    );
+  }
+  return `${START_MARKER}\n${parts.join("\n\n")}\n${END_MARKER}`;
+}
+
+export function renderMarkdownFile(rec, { sourceUrl = "", transcriptOptions = {}, existing = "" } = {}) {
+  const { keys, body } = parseFrontmatter(existing);
+  const owned = frontmatterEntries(rec, sourceUrl);
+  const kept = keys.filter((k) => !OWNED_KEYS.includes(k.key)).map((k) => k.raw);
+  const frontmatter = ["---", ...owned.map(([k, v]) => `${k}:${v.startsWith("\n") ? v : ` ${v}`}`), ...kept, "---"];
+
+  const section = renderBody(rec, sourceUrl, transcriptOptions);
+  const start = body.indexOf(START_MARKER);
+  const end = body.indexOf(END_MARKER, start);
+  let content;
+  if (start !== -1 && end !== -1) {
+    content = body.slice(0, start) + section + body.slice(end + END_MARKER.length);
+  } else {
+    content = `${section}\n${body.trim() ? `\n${body.trim()}\n` : ""}`;
+  }
+  return `${frontmatter.join("\n")}\n${content}`;
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function frontmatterValue(raw) {
+  const value = raw.slice(raw.indexOf(":") + 1).trim();
+  try {
+    return value.startsWith('"') ? JSON.parse(value) : value;
+  } catch {
+    return value;
+  }
+}
+
+// Every note already in the folder, and which of them belong to which recording.
+async function indexFolder(dir) {
+  const index = new Map();
+  let names = [];
+  try {
+    names = (await fs.readdir(dir)).filter((n) => n.endsWith(".md"));
+  } catch (err) {
+    if (err?.code !== "ENOENT") throw err;
+  }
+  for (const name of names) {
+    const { keys } = parseFrontmatter(await fs.readFile(path.join(dir, name), "utf8"));
+    const id = keys.find((k) => k.key === "plaud_id");
+    if (id) index.set(String(frontmatterValue(id.raw)), name);
+  }
+  return { index, names };
+}
+
+export async function createMarkdownTarget({ dir, transcriptOptions = {}, dryRun = false, recordingUrl }) {
+  const { index, names } = await indexFolder(dir);
+  console.log(`Writing Markdown notes to ${dir} (${index.size} existing)`);
+  if (!dryRun) await fs.mkdir(dir, { recursive: true });
+
+  // Includes notes that aren't from Plaud, so they are never overwritten.
+  const takenNames = new Set(names);
+  const rendered = new Map();
+
+  function fileNameFor(rec) {
+    const known = index.get(String(rec.id));
+    if (known) return known;
+    let name = markdownFileName(rec);
+    // Same date and title as another note: this one gets part of its id.
+    if (takenNames.has(name)) name = name.replace(/\.md$/, ` (${String(rec.id).slice(0, 8)}).md`);
+    return name;
+  }
+
+  async function render(rec, baseUrl) {
+    if (rendered.has(rec)) return rendered.get(rec);
+    const fileName = fileNameFor(rec);
+    const filePath = path.join(dir, fileName);
+    const existing = await readIfExists(filePath);
+    const content = renderMarkdownFile(rec, {
+      sourceUrl: recordingUrl(baseUrl, rec),
+      transcriptOptions,
+      existing: existing || "",
+    });
+    const out = { fileName, filePath, existing, content };
+    rendered.set(rec, out);
+    return out;
+  }
+
+  return {
+    name: "Markdown",
+
+    async isUnchanged(rec, { baseUrl }) {
+      if (!rec?.id) return false;
+      const { existing, content } = await render(rec, baseUrl);
+      return existing === content;
+    },
+
+    async write(rec, { baseUrl }) {
+      if (!rec?.id) throw new Error("recording has no Plaud id, so it has no stable file name");
+      const { fileName, filePath, existing, content } = await render(rec, baseUrl);
+      const mode = existing === null ? "created" : "updated";
+      if (dryRun) {
+        console.log(`[dry-run] would ${mode === "created" ? "create" : "update"} ${fileName}`);
+        return { mode, fileName };
+      }
+      await fs.writeFile(filePath, content, "utf8");
+      index.set(String(rec.id), fileName);
+      takenNames.add(fileName);
+      console.log(`${mode === "created" ? "Wrote" : "Updated"} ${fileName}`);
+      return { mode, fileName };
+    },
+  };
+}
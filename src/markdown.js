@@ -0,0 +1,233 @@
+// Markdown-ish text (as Plaud writes its summaries) to native Notion blocks and rich text.
+//
+// Covers what shows up in practice: headings, bullet/numbered lists (one nesting level),
+// checkboxes, quotes, fenced code, dividers and inline bold/italic/strike/code/links.
+// Every rich text item is kept under Notion's 2000-character limit.
+
+const MAX_TEXT = 2000;
+const MAX_RICH_TEXT_ITEMS = 100;
+
+const CODE_LANGUAGES = new Set([
+  "bash", "c", "c#", "c++", "css", "diff", "go", "html", "java", "javascript", "json", "kotlin",
+  "markdown", "php", "plain text", "python", "ruby", "rust", "shell", "sql", "swift", "typescript", "xml", "yaml",
+]);
+const CODE_LANGUAGE_ALIASES = {
+  js: "javascript", ts: "typescript", py: "python", rb: "ruby", sh: "shell", zsh: "shell",
+  yml: "yaml", md: "markdown", cs: "c#", cpp: "c++", golang: "go", text: "plain text", txt: "plain text",
+};
+
+const INLINE_PATTERN =
+  /\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)|\*(?!\s)(.+?)\*|(?<!\w)_(?!\s)(.+?)_(?!\w)/g;
+
+function parseInline(text, annotations = {}, link = null) {
+  const runs = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, "g");
+  let last = 0;
+  let m;
+
+  while ((m = pattern.exec(text))) {
+    if (m.index > last) runs.push({ content: text.slice(last, m.index), annotations, link });
+    const [, bold1, bold2, strike, code, linkText, linkUrl, italic1, italic2] = m;
+    if (bold1 !== undefined || bold2 !== undefined) {
+      runs.push(...parseInline(bold1 ?? bold2, { ...annotations, bold: true }, link));
+    } else if (strike !== undefined) {
+      runs.push(...parseInline(strike, { ...annotations, strikethrough: true }, link));
+    } else if (code !== undefined) {
+      runs.push({ content: code, annotations: { ...annotations, code: true }, link });
+    } else if (linkText !== undefined) {
+      runs.push(...parseInline(linkText, annotations, linkUrl));
+    } else {
+      runs.push(...parseInline(italic1 ?? italic2, { ...annotations, italic: true }, link));
+    }
+    last = pattern.lastIndex;
+  }
+
+  if (last < text.length) runs.push({ content: text.slice(last), annotations, link });
+  return runs;
+}
+
+function toRichText(runs) {
+  const richText = [];
+  for (const run of runs) {
+    const hasAnnotations = Object.values(run.annotations || {}).some(Boolean);
+    // Links longer than Notion accepts are kept as plain text rather than failing the write.
+    const link = run.link && run.link.length <= MAX_TEXT ? { url: run.link } : null;
+    for (let i = 0; i < run.content.length; i += MAX_TEXT) {
+      const item = { type: "text", text: { content: run.content.slice(i, i + MAX_TEXT) } };
+      if (link) item.text.link = link;
+      if (hasAnnotations) item.annotations = { ...run.annotations };
+      richText.push(item);
+    }
+  }
+  return richText;
+}
+
+export function inlineMarkdownToRichText(text) {
+  return toRichText(parseInline(String(text || "")));
+}
+
+// Splits blocks whose rich text would exceed Notion's 100-item cap into consecutive blocks.
+function textBlocks(type, richText, extra = {}) {
+  if (!richText.length) return [{ object: "block", type, [type]: { rich_text: [], ...extra } }];
+  const blocks = [];
+  for (let i = 0; i < richText.length; i += MAX_RICH_TEXT_ITEMS) {
+    blocks.push({ object: "block", type, [type]: { rich_text: richText.slice(i, i + MAX_RICH_TEXT_ITEMS), ...extra } });
+  }
+  return blocks;
+}
+
+function codeLanguage(info) {
+  const lang = String(info || "").trim().toLowerCase();
+  if (CODE_LANGUAGES.has(lang)) return lang;
+  return CODE_LANGUAGE_ALIASES[lang] || "plain text";
+}
+
+function indentWidth(raw) {
+  return raw.replace(/\t/g, "    ").length;
+}
+
+export function markdownToBlocks(markdown) {
+  const lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let paragraph = [];
+  let quote = [];
+  let listParent = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(...textBlocks("paragraph", inlineMarkdownToRichText(paragraph.join("\n"))));
+    paragraph = [];
+  };
+  const flushQuote = () => {
+    if (quote.length) blocks.push(...textBlocks("quote", inlineMarkdownToRichText(quote.join("\n"))));
+    quote = [];
+  };
+  const flushAll = () => {
+    flushParagraph();
+    flushQuote();
+  };
+
+  // Nested items go under the last top-level list item. Notion accepts only two levels of
+  // children in one request, so anything deeper is flattened onto that second level.
+  const pushListItem = (indent, block) => {
+    flushAll();
+    if (indent > 0 && listParent) {
+      const body = listParent[listParent.type];
+      body.children = body.children || [];
+      body.children.push(block);
+      return;
+    }
+    blocks.push(block);
+    listParent = block;
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    let m;
+
+    if ((m = line.match(/^\s*(```|~~~)\s*([\w#+ -]*)\s*$/))) {
+      flushAll();
+      listParent = null;
+      const fence = m[1];
+      const body = [];
+      for (i += 1; i < lines.length && !lines[i].trim().startsWith(fence); i += 1) body.push(lines[i]);
+      const content = body.join("\n");
+      blocks.push(
+        ...textBlocks("code", toRichText([{ content, annotations: {} }]), { language: codeLanguage(m[2]) })
+      );
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushAll();
+      continue;
+    }
+
+    if ((m = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+      flushAll();
+      listParent = null;
+      const type = m[1].length <= 2 ? "heading_2" : "heading_3";
+      blocks.push(...textBlocks(type, inlineMarkdownToRichText(m[2])));
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushAll();
+      listParent = null;
+      blocks.push({ object: "block", type: "divider", divider: {} });
+      continue;
+    }
+
+    if ((m = line.match(/^(\s*)[-*+]\s+\[( |x|X)\]\s+(.*)$/))) {
+      const [block] = textBlocks("to_do", inlineMarkdownToRichText(m[3]), { checked: m[2].toLowerCase() === "x" });
+      pushListItem(indentWidth(m[1]), block);
+      continue;
+    }
+
+    if ((m = line.match(/^(\s*)[-*+•]\s+(.*)$/))) {
+      const [block] = textBlocks("bulleted_list_item", inlineMarkdownToRichText(m[2]));
+      pushListItem(indentWidth(m[1]), block);
+      continue;
+    }
+
+    if ((m = line.match(/^(\s*)\d+[.)]\s+(.*)$/))) {
+      const [block] = textBlocks("numbered_list_item", inlineMarkdownToRichText(m[2]));
+      pushListItem(indentWidth(m[1]), block);
+      continue;
+    }
+
+    if ((m = line.match(/^\s*>\s?(.*)$/))) {
+      flushParagraph();
+      listParent = null;
+      quote.push(m[1]);
+      continue;
+    }
+
+    // An indented line right after a list item continues that item.
+    const lastBlock = blocks[blocks.length - 1];
+    if (/^\s+/.test(line) && !paragraph.length && !quote.length && listParent && lastBlock === listParent) {
+      const body = listParent[listParent.type];
+      const target = body.children?.length ? body.children[body.children.length - 1] : listParent;
+      const targetBody = target[target.type];
+      targetBody.rich_text.push(...inlineMarkdownToRichText(`\n${line.trim()}`));
+      continue;
+    }
+
+    flushQuote();
+    listParent = null;
+    paragraph.push(line.trim());
+  }
+
+  flushAll();
+  return blocks;
+}
+
+// Summary text for a rich_text property: list markers become bullets, inline formatting is
+// kept, and the total is capped at `maxChars` characters.
+export function markdownToPropertyRichText(markdown, maxChars = 1900) {
+  const text = String(markdown || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter((line) => !/^\s*(```|~~~)/.test(line))
+    .map((line) =>
+      line
+        .replace(/^\s{0,3}#{1,6}\s+/, "")
+        .replace(/^(\s*)[-*+]\s+\[( )\]\s+/, "$1☐ ")
+        .replace(/^(\s*)[-*+]\s+\[[xX]\]\s+/, "$1☑ ")
+        .replace(/^(\s*)[-*+]\s+/, "$1• ")
+        .replace(/^\s*>\s?/, "")
+    )
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  const richText = [];
+  let remaining = maxChars;
+  for (const item of inlineMarkdownToRichText(text)) {
+    if (remaining <= 0) break;
+    const content = item.text.content.slice(0, remaining);
+    remaining -= content.length;
+    richText.push({ ...item, text: { ...item.text, content } });
+    if (richText.length >= MAX_RICH_TEXT_ITEMS) break;
+  }
+  return richText;
+}
@@ -0,0 +1,262 @@
+import net from "net";
+import os from "os";
+import tls from "tls";
+
+// Notifications about a finished (or failed) run. Each notifier gets the run report and a
+// one-line summary; notifiers are configured from the environment:
+//
+//   NOTIFY_WEBHOOK_URL            POST { text, report } as JSON (Slack/Discord-style "text")
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD,
+//   NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO (comma-separated)
+//
+// They fire when the run failed or some recordings failed (NOTIFY_ON_FAILURE, default true),
+// or when at least NOTIFY_LOW_SIGNAL_THRESHOLD recordings came through without usable content.
+// A notifier that fails is logged and never changes the outcome of the run.
+
+const SMTP_TIMEOUT_MS = 30000;
+const WEBHOOK_TIMEOUT_MS = 30000;
+// Longest encoded-word (RFC 2047) is 75 characters: 45 bytes of UTF-8 in base64 plus the wrapper.
+const ENCODED_WORD_BYTES = 45;
+
+function notifyError(message) {
+  return new Error(`Notification failed: ${message}`);
+}
+
+export function readNotifySettings(env = process.env) {
+  const threshold = env.NOTIFY_LOW_SIGNAL_THRESHOLD;
+  const lowSignalThreshold = threshold === undefined || threshold === "" ? null : Number(threshold);
+  if (lowSignalThreshold !== null && !(lowSignalThreshold >= 1)) {
+    throw new Error(`Invalid NOTIFY_LOW_SIGNAL_THRESHOLD "${threshold}"`);
+  }
+
+  const smtpHost = String(env.SMTP_HOST || "").trim();
+  const to = String(env.NOTIFY_EMAIL_TO || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (smtpHost && !to.length) throw new Error("SMTP_HOST is set but NOTIFY_EMAIL_TO is empty.");
+  const secure = String(env.SMTP_SECURE || "").toLowerCase() === "true" || env.SMTP_PORT === "465";
+
+  return {
+    onFailure: String(env.NOTIFY_ON_FAILURE ?? "true").toLowerCase() !== "false",
+    lowSignalThreshold,
+    webhookUrl: String(env.NOTIFY_WEBHOOK_URL || "").trim() || null,
+    smtp: smtpHost
+      ? {
+          host: smtpHost,
+          port: Number(env.SMTP_PORT || (secure ? 465 : 587)),
+          secure,
+          user: env.SMTP_USER || null,
+          password: env.SMTP_PASSWORD || null,
+          from: String(env.NOTIFY_EMAIL_FROM || env.SMTP_USER || "").trim(),
+          to,
+        }
+      : null,
+  };
+}
+
+// Why this run deserves a notification, or null when it does not.
+export function notificationReason(report, settings) {
+  const { status, error, totals } = report;
+  if (settings.onFailure && status === "failed") return error ? `the run failed: ${error}` : "every write failed";
+  if (settings.onFailure && status === "partial") {
+    return `${totals.failed || 0} recordings failed${totals.audioFailed ? `, ${totals.audioFailed} audio downloads failed` : ""}`;
+  }
+  if (settings.lowSignalThreshold && (totals?.lowSignal || 0) >= settings.lowSignalThreshold) {
+    return `${totals.lowSignal} recordings had no usable summary or transcript`;
+  }
+  return null;
+}
+
+function summaryText(report, reason) {
+  const t = report.totals;
+  const counts = t
+    ? ` Created ${t.created}, updated ${t.updated}, unchanged ${t.unchanged}, low-signal ${t.lowSignal}, ` +
+      `skipped ${t.skipped}, failed ${t.failed}.`
+    : "";
+  return `Plaud -> ${report.target} sync: ${reason}.${counts}`;
+}
+
+async function postWebhook(url, text, report) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ text, report }),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!resp.ok) throw notifyError(`webhook answered HTTP ${resp.status}`);
+}
+
+// Reads SMTP replies ("250-…" continuation lines, then "250 …") off a socket.
+function replyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const waiting = [];
+  const replies = [];
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onError = (err) => {
+    while (waiting.length) waiting.shift().reject(err);
+  };
+  socket.on("data", onData);
+  socket.on("error", onError);
+
+  return {
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onError);
+    },
+  };
+}
+
+function connect(options, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(notifyError("SMTP server timed out")));
+    socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+// One header line: whitespace and line breaks collapse to single spaces, and non-ASCII text is
+// sent as RFC 2047 encoded-words, split on character boundaries and folded.
+export function encodeHeaderValue(value) {
+  const text = String(value ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+  const words = [];
+  let chunk = "";
+  for (const ch of text) {
+    if (Buffer.byteLength(chunk + ch) > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += ch;
+  }
+  if (chunk) words.push(chunk);
+  return words.map((w) => `=?UTF-8?B?${Buffer.from(w, "utf8").toString("base64")}?=`).join("\r\n ");
+}
+
+// Dot-stuffs the body and normalises line endings for the DATA command.
+function dataPayload(headers, text) {
+  const head = Object.entries(headers).map(([k, v]) => `${k}: ${v}`);
+  const body = String(text).replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+  return `${head.join("\r\n")}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+// Minimal SMTP submission: implicit TLS (port 465) or STARTTLS, AUTH PLAIN, one message.
+export async function sendMail(smtp, { subject, text }) {
+  const servername = net.isIP(smtp.host) ? undefined : smtp.host;
+  let socket = await connect({ host: smtp.host, port: smtp.port, servername }, smtp.secure);
+  let reader = replyReader(socket);
+
+  async function command(line, expected) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const shown = line && line.startsWith("AUTH") ? "AUTH" : line || "greeting";
+      throw notifyError(`SMTP ${shown} answered ${reply.lines.join(" ")}`);
+    }
+    return reply;
+  }
+
+  try {
+    await command(null, [220]);
+    const hostname = os.hostname() || "localhost";
+    let ehlo = await command(`EHLO ${hostname}`, [250]);
+
+    if (!smtp.secure) {
+      if (!ehlo.lines.some((l) => /^250[ -]STARTTLS/i.test(l))) {
+        throw notifyError(`SMTP server ${smtp.host} does not offer STARTTLS; set SMTP_SECURE=true for port 465`);
+      }
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket = await connect({ socket, servername }, true);
+      reader = replyReader(socket);
+      ehlo = await command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (smtp.user) {
+      const token = Buffer.from(`\u0000${smtp.user}\u0000${smtp.password || ""}`).toString("base64");
+      await command(`AUTH PLAIN ${token}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${smtp.from}>`, [250]);
+    for (const to of smtp.to) await command(`RCPT TO:<${to}>`, [250, 251]);
+    await command("DATA", [354]);
+    const headers = {
+      From: smtp.from,
+      To: smtp.to.join(", "),
+      Subject: encodeHeaderValue(subject),
+      Date: new Date().toUTCString(),
+      "MIME-Version": "1.0",
+      "Content-Type": "text/plain; charset=utf-8",
+      "Content-Transfer-Encoding": "8bit",
+    };
+    socket.write(dataPayload(headers, text));
+    await command(null, [250]);
+    await command("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+function mailText(report, text) {
+  const lines = [text, ""];
+  const failed = report.recordings.filter((r) => r.action === "failed");
+  if (failed.length) {
+    lines.push("Failed recordings:");
+    for (const r of failed) lines.push(`  - ${r.id} ${r.title}: ${r.reason}`);
+    lines.push("");
+  }
+  if (report.warnings.length) {
+    lines.push("Warnings:");
+    for (const w of report.warnings) lines.push(`  - ${w}`);
+    lines.push("");
+  }
+  lines.push(`Started ${report.startedAt}, took ${Math.round(report.durationMs / 1000)}s.`);
+  return lines.join("\n");
+}
+
+// Sends the notifications the report calls for. `report` is the run report's JSON.
+export async function notifyRun(report, settings = readNotifySettings()) {
+  if (report.dryRun) return;
+  const reason = notificationReason(report, settings);
+  if (!reason || (!settings.webhookUrl && !settings.smtp)) return;
+
+  const text = summaryText(report, reason);
+  const sends = [];
+  if (settings.webhookUrl) sends.push(["webhook", () => postWebhook(settings.webhookUrl, text, report)]);
+  if (settings.smtp) {
+    const subject = `Plaud sync ${report.status === "ok" ? "warning" : report.status}: ${reason}`.slice(0, 200);
+    sends.push(["email", () => sendMail(settings.smtp, { subject, text: mailText(report, text) })]);
+  }
+  for (const [name, send] of sends) {
+    try {
+      await send();
+      console.log(`Sent ${name} notification: ${reason}.`);
+    } catch (err) {
+      console.error(`Could not send ${name} notification: ${err?.message || err}`);
+    }
+  }
+}
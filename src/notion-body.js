@@ -0,0 +1,245 @@
+// The part of a Notion page body that the sync owns.
+//
+// Synced content sits between a start and an end marker paragraph. On every write the
+// blocks between the markers are diffed against the new content and only the changed tail
+// is replaced; anything a person adds above or below the markers is never touched.
+//
+// Notion takes at most 100 blocks (1000 counting nested ones, and about 500 KB) per request,
+// so long sections are created with the first batch and appended in further batches.
+
+const START_MARKER_TEXT = "⟳ Synced from Plaud. Content between these markers is replaced on every sync.";
+const END_MARKER_TEXT = "⟳ End of synced Plaud content.";
+const TRANSCRIPT_PAGE_TITLE = "Transcript";
+const MAX_BATCH_BLOCKS = 100;
+const MAX_BATCH_NESTED_BLOCKS = 1000;
+const MAX_BATCH_BYTES = 400 * 1024;
+
+function markerBlock(text) {
+  return {
+    object: "block",
+    type: "paragraph",
+    paragraph: {
+      rich_text: [{ type: "text", text: { content: text }, annotations: { italic: true, color: "gray" } }],
+    },
+  };
+}
+
+function plainText(richText) {
+  return (richText || []).map((t) => t?.plain_text ?? t?.text?.content ?? "").join("");
+}
+
+function blockText(block) {
+  return plainText(block?.[block?.type]?.rich_text);
+}
+
+function isMarker(block, text) {
+  return block?.type === "paragraph" && blockText(block) === text;
+}
+
+// Identity used to decide whether an existing block already matches the one we would write.
+// Blocks with nested children are never considered equal, because listing does not return them.
+function blockSignature(block) {
+  const body = block?.[block?.type] || {};
+  if (block?.has_children || (Array.isArray(body.children) && body.children.length)) return null;
+  return JSON.stringify([
+    block?.type,
+    blockText(block),
+    plainText(body.caption),
+    body.checked ?? null,
+    body.language ?? null,
+  ]);
+}
+
+export function wrapManagedSection(children) {
+  return [markerBlock(START_MARKER_TEXT), ...children, markerBlock(END_MARKER_TEXT)];
+}
+
+async function listAllChildren(notion, blockId) {
+  const blocks = [];
+  let cursor;
+  do {
+    const resp = await notion.blocks.children.list({ block_id: blockId, page_size: 100, start_cursor: cursor });
+    blocks.push(...(resp.results || []));
+    cursor = resp.has_more ? resp.next_cursor : undefined;
+  } while (cursor);
+  return blocks;
+}
+
+function nestedBlockCount(block) {
+  const children = block?.[block?.type]?.children;
+  return 1 + (Array.isArray(children) ? children.reduce((n, child) => n + nestedBlockCount(child), 0) : 0);
+}
+
+// Splits blocks into runs that each fit in one Notion request.
+export function requestBatches(blocks) {
+  const batches = [];
+  let batch = [];
+  let nested = 0;
+  let bytes = 0;
+  for (const block of blocks) {
+    const blockNested = nestedBlockCount(block);
+    const blockBytes = Buffer.byteLength(JSON.stringify(block));
+    const full =
+      batch.length >= MAX_BATCH_BLOCKS ||
+      nested + blockNested > MAX_BATCH_NESTED_BLOCKS ||
+      bytes + blockBytes > MAX_BATCH_BYTES;
+    if (batch.length && full) {
+      batches.push(batch);
+      batch = [];
+      nested = 0;
+      bytes = 0;
+    }
+    batch.push(block);
+    nested += blockNested;
+    bytes += blockBytes;
+  }
+  if (batch.length) batches.push(batch);
+  return batches;
+}
+
+async function appendAfter(notion, pageId, afterId, children) {
+  let after = afterId;
+  for (const batch of requestBatches(children)) {
+    const resp = await notion.blocks.children.append({
+      block_id: pageId,
+      children: batch,
+      after: after || undefined,
+    });
+    const created = resp.results || [];
+    if (created.length) after = created[created.length - 1].id;
+  }
+}
+
+// Creates a page whose body is the synced section: the first batch goes with the page, the
+// rest is appended to the end of the (still empty) page.
+export async function createPageWithSection(notion, { parent, properties, children }) {
+  const [first = [], ...rest] = requestBatches(wrapManagedSection(children));
+  const page = await notion.pages.create({ parent, properties, children: first });
+  await appendAfter(notion, page.id, null, rest.flat());
+  return page;
+}
+
+// Pages written before the markers existed start with an "Open in Plaud" paragraph followed by
+// Summary/Transcript headings and their text cut into 1800-character paragraphs, the last one of
+// each section shorter. The summary stopped at block 50 and the transcript at block 90. Only
+// blocks with exactly that shape are adopted; anything after them is left alone.
+const LEGACY_CHUNK_CHARS = 1800;
+const LEGACY_SECTIONS = [
+  ["Summary", 50],
+  ["Transcript", 90],
+];
+
+function findLegacySection(blocks) {
+  if (blocks[0]?.type !== "paragraph" || !blockText(blocks[0]).startsWith("Open in Plaud: ")) return null;
+
+  let end = 0;
+  for (const [heading, lastIndex] of LEGACY_SECTIONS) {
+    const b = blocks[end + 1];
+    if (b?.type !== "heading_2" || blockText(b) !== heading) continue;
+    end += 1;
+    while (end + 1 <= lastIndex && blocks[end + 1]?.type === "paragraph") {
+      const length = blockText(blocks[end + 1]).length;
+      if (!length || length > LEGACY_CHUNK_CHARS) break;
+      end += 1;
+      if (length < LEGACY_CHUNK_CHARS) break;
+    }
+  }
+  return { start: 0, end };
+}
+
+// `prepare`, when given, is awaited with the blocks about to be appended before they are sent
+// (a file block's upload is made there, so a kept block needs none). Returns the page's
+// top-level blocks as they were before the update.
+export async function syncManagedSection(notion, pageId, children, prepare = null) {
+  const blocks = await listAllChildren(notion, pageId);
+
+  let anchorId = null;
+  let current = [];
+  let needsEndMarker = true;
+
+  const startIdx = blocks.findIndex((b) => isMarker(b, START_MARKER_TEXT));
+  if (startIdx >= 0) {
+    anchorId = blocks[startIdx].id;
+    const endIdx = blocks.findIndex((b, i) => i > startIdx && isMarker(b, END_MARKER_TEXT));
+    // Without an end marker we cannot tell synced blocks from user blocks, so rebuild the
+    // section right after the start marker and leave everything else in place.
+    if (endIdx >= 0) {
+      current = blocks.slice(startIdx + 1, endIdx);
+      needsEndMarker = false;
+    }
+  } else {
+    const legacy = findLegacySection(blocks);
+    if (!legacy) {
+      if (prepare) await prepare(children);
+      await appendAfter(notion, pageId, null, wrapManagedSection(children));
+      return blocks;
+    }
+    anchorId = blocks[legacy.start].id;
+    await notion.blocks.update({ block_id: anchorId, paragraph: markerBlock(START_MARKER_TEXT).paragraph });
+    current = blocks.slice(legacy.start + 1, legacy.end + 1);
+  }
+
+  let common = 0;
+  while (
+    common < current.length &&
+    common < children.length &&
+    blockSignature(current[common]) !== null &&
+    blockSignature(current[common]) === blockSignature(children[common])
+  ) {
+    common += 1;
+  }
+
+  for (const stale of current.slice(common)) {
+    await notion.blocks.delete({ block_id: stale.id });
+  }
+
+  const toAppend = children.slice(common);
+  if (needsEndMarker) toAppend.push(markerBlock(END_MARKER_TEXT));
+  if (!toAppend.length) return blocks;
+  if (prepare) await prepare(toAppend);
+
+  const afterId = common > 0 ? current[common - 1].id : anchorId;
+  await appendAfter(notion, pageId, afterId, toAppend);
+  return blocks;
+}
+
+function normalizeId(id) {
+  return String(id || "").replace(/-/g, "");
+}
+
+// The sub-page `subPageId` when it still exists under `pageId`, else null. A page is only ever
+// recognised by the id the sync stored, never by its title, so a "Transcript" page someone
+// made by hand is left alone.
+async function findTranscriptPage(notion, pageId, subPageId) {
+  if (!subPageId) return null;
+  try {
+    const page = await notion.pages.retrieve({ page_id: subPageId });
+    if (page?.archived || page?.in_trash) return null;
+    return normalizeId(page?.parent?.page_id) === normalizeId(pageId) ? page : null;
+  } catch (err) {
+    if (err?.code === "object_not_found") return null;
+    throw err;
+  }
+}
+
+// Keeps the "Transcript" sub-page the sync made for a recording's page (`subPageId`, from the
+// sync state) in step: `children` becomes its synced section, or the sub-page is archived when
+// `children` is null (the transcript is inline again). Returns the sub-page's id, or null.
+export async function syncTranscriptPage(notion, pageId, children, subPageId = null) {
+  const existing = await findTranscriptPage(notion, pageId, subPageId);
+
+  if (!children) {
+    if (existing) await notion.pages.update({ page_id: existing.id, archived: true });
+    return null;
+  }
+  if (existing) {
+    await syncManagedSection(notion, existing.id, children);
+    return existing.id;
+  }
+  const page = await createPageWithSection(notion, {
+    parent: { page_id: pageId },
+    properties: { title: { title: [{ type: "text", text: { content: TRANSCRIPT_PAGE_TITLE } }] } },
+    children,
+  });
+  return page.id;
+}
@@ -0,0 +1,203 @@
+import { APIErrorCode, Client, ClientErrorCode } from "@notionhq/client";
+
+// Notion client wrapper that paces requests and retries the transient failures.
+//
+// Notion allows an average of three requests per second per integration and answers bursts
+// with 429 + Retry-After. 5xx and timeouts are usually gone on a second attempt. Everything
+// else (validation, auth, missing objects) is fatal and is rethrown unchanged, so callers can
+// tell "Notion is busy" apart from "this request is wrong".
+//
+// Calls that create something (pages, appended blocks, file uploads) are the exception: a
+// timeout, 5xx or dropped connection may come after Notion applied them, and a second attempt
+// would create a duplicate. They are only retried on errors that prove nothing was applied.
+
+const RETRYABLE_API_CODES = new Set([
+  APIErrorCode.RateLimited,
+  APIErrorCode.ConflictError,
+  APIErrorCode.InternalServerError,
+  APIErrorCode.ServiceUnavailable,
+  ClientErrorCode.RequestTimeout,
+]);
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "ENOTFOUND"]);
+// Rejected before Notion did anything: rate limited, or the connection never opened.
+const UNAPPLIED_NETWORK_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+const CREATING_CALLS = new Set([
+  "pages.create",
+  "databases.create",
+  "blocks.children.append",
+  "fileUploads.create",
+  "fileUploads.send",
+]);
+const NOTION_API_URL = "https://api.notion.com/v1";
+const NOTION_VERSION = "2022-06-28";
+// Notion accepts single-part uploads up to 20 MB; bigger files go up in 10 MB parts.
+const SINGLE_PART_MAX_BYTES = 20 * 1024 * 1024;
+const PART_BYTES = 10 * 1024 * 1024;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export function isRetryableNotionError(err) {
+  if (!err) return false;
+  if (RETRYABLE_API_CODES.has(err.code)) return true;
+  if (RETRYABLE_STATUS.has(err.status)) return true;
+  if (RETRYABLE_NETWORK_CODES.has(err.code) || RETRYABLE_NETWORK_CODES.has(err.errno)) return true;
+  // node-fetch reports dropped sockets as FetchError with type "system".
+  return err.name === "FetchError" && err.type === "system";
+}
+
+// True when the failed request certainly did not change anything in Notion.
+export function isUnappliedNotionError(err) {
+  if (!err) return false;
+  if (err.code === APIErrorCode.RateLimited || err.status === 429) return true;
+  return UNAPPLIED_NETWORK_CODES.has(err.code) || UNAPPLIED_NETWORK_CODES.has(err.errno);
+}
+
+function retryAfterMs(err) {
+  const raw = typeof err?.headers?.get === "function" ? err.headers.get("retry-after") : err?.headers?.["retry-after"];
+  if (raw === undefined || raw === null || raw === "") return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffMs(attempt, baseMs, maxMs) {
+  // Exponential backoff with "equal jitter": half fixed, half random.
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+function createRateLimiter(requestsPerSecond) {
+  const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  let nextSlot = 0;
+  return async function acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) await sleep(slot - now);
+  };
+}
+
+// The SDK only sends JSON bodies, so file parts are posted as multipart/form-data directly.
+// Failures are shaped like SDK errors (status, code, headers) so the same retry rules apply.
+async function sendFilePart(auth, { fileUploadId, data, filename, contentType, partNumber }) {
+  const form = new FormData();
+  form.append("file", new Blob([data], { type: contentType }), filename);
+  if (partNumber) form.append("part_number", String(partNumber));
+
+  let resp;
+  try {
+    resp = await fetch(`${NOTION_API_URL}/file_uploads/${encodeURIComponent(fileUploadId)}/send`, {
+      method: "POST",
+      headers: { authorization: `Bearer ${auth}`, "Notion-Version": NOTION_VERSION },
+      body: form,
+    });
+  } catch (err) {
+    // undici hides the socket error code in `cause`.
+    if (err?.cause?.code) err.code = err.cause.code;
+    throw err;
+  }
+  const text = await resp.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    json = null;
+  }
+  if (!resp.ok) {
+    const err = new Error(json?.message || `Notion file upload failed: HTTP ${resp.status}`);
+    err.status = resp.status;
+    err.code = json?.code;
+    err.headers = resp.headers;
+    throw err;
+  }
+  return json;
+}
+
+export function createNotionClient({
+  auth,
+  client = null,
+  requestsPerSecond = 3,
+  maxRetries = 5,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+} = {}) {
+  const raw = client || new Client({ auth });
+  const acquire = createRateLimiter(requestsPerSecond);
+
+  async function call(label, fn, args) {
+    for (let attempt = 0; ; attempt += 1) {
+      await acquire();
+      try {
+        return await fn(args);
+      } catch (err) {
+        const retryable = CREATING_CALLS.has(label) ? isUnappliedNotionError(err) : isRetryableNotionError(err);
+        if (!retryable || attempt >= maxRetries) throw err;
+        const delay = retryAfterMs(err) ?? backoffMs(attempt, baseDelayMs, maxDelayMs);
+        console.log(
+          `Notion ${label} failed (${err.code || err.status || err.message}); retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  function wrap(target, prefix) {
+    const wrapped = {};
+    for (const [key, value] of Object.entries(target)) {
+      const label = prefix ? `${prefix}.${key}` : key;
+      if (typeof value === "function") wrapped[key] = (args) => call(label, value.bind(target), args);
+      else if (value && typeof value === "object") wrapped[key] = wrap(value, label);
+    }
+    return wrapped;
+  }
+
+  return {
+    databases: wrap(raw.databases, "databases"),
+    pages: wrap(raw.pages, "pages"),
+    blocks: wrap(raw.blocks, "blocks"),
+    users: wrap(raw.users, "users"),
+    search: (args) => call("search", raw.search.bind(raw), args),
+    request: (args) => call(`request ${args?.method || "get"} ${args?.path || ""}`, raw.request.bind(raw), args),
+    // File Upload API (not in this SDK version): create, send one or more parts, complete.
+    fileUploads: {
+      create: (body) =>
+        call("fileUploads.create", raw.request.bind(raw), { path: "file_uploads", method: "post", body }),
+      send: (args) => call("fileUploads.send", (a) => sendFilePart(auth, a), args),
+      complete: ({ fileUploadId }) =>
+        call("fileUploads.complete", raw.request.bind(raw), {
+          path: `file_uploads/${encodeURIComponent(fileUploadId)}/complete`,
+          method: "post",
+          body: {},
+        }),
+    },
+  };
+}
+
+// Uploads a file (a Buffer) through the wrapped client's File Upload API and returns the
+// upload, ready to be referenced from a block as { type: "file_upload", file_upload: { id } }.
+export async function uploadFile(notion, { data, fileName, contentType }) {
+  const multiPart = data.length > SINGLE_PART_MAX_BYTES;
+  const parts = multiPart ? Math.ceil(data.length / PART_BYTES) : 1;
+
+  const upload = await notion.fileUploads.create(
+    multiPart
+      ? { mode: "multi_part", filename: fileName, content_type: contentType, number_of_parts: parts }
+      : { filename: fileName, content_type: contentType }
+  );
+
+  for (let part = 0; part < parts; part += 1) {
+    await notion.fileUploads.send({
+      fileUploadId: upload.id,
+      data: multiPart ? data.subarray(part * PART_BYTES, (part + 1) * PART_BYTES) : data,
+      filename: fileName,
+      contentType,
+      partNumber: multiPart ? part + 1 : null,
+    });
+  }
+  if (multiPart) await notion.fileUploads.complete({ fileUploadId: upload.id });
+  return upload;
+}
@@ -0,0 +1,459 @@
+import { normalizeSegments, segmentsToText } from "./transcript.js";
+
+// Plaud payload adapters: each one recognises one endpoint/response shape, checks the fields it
+// relies on and maps the payload into the recording model below. Nothing else is accepted, so a
+// changed Plaud response shows up in the drift report printed at the end of the run instead of
+// as blank summaries or wrong titles.
+//
+// Recording model:
+//
+//   { id: string, title: string, createdAt: ISO string | null, durationMs: number | null,
+//     summary: string, transcript: string, segments: [{ speaker, startMs, endMs, text }],
+//     sourceUrl: string, folder: string | null, tags: string[], device: string | null,
+//     language: string | null, speakers: string[] }
+//
+// Bump an adapter's version when its mapping changes, so drift reports say which one ran.
+
+const PLAUD_DEBUG = String(process.env.PLAUD_DEBUG || "false").toLowerCase() === "true";
+const MAX_EXAMPLES = 3;
+
+export function firstNonEmptyString(values) {
+  for (const v of values) {
+    if (typeof v === "string" && v.trim()) return v.trim();
+  }
+  return "";
+}
+
+function flattenText(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value.trim();
+  if (Array.isArray(value)) {
+    return value
+      .map((v) => flattenText(v))
+      .filter(Boolean)
+      .join("\n")
+      .trim();
+  }
+  if (typeof value === "object") {
+    // Only read explicit text-bearing keys. Do NOT recursively flatten arbitrary objects,
+    // which can pull unrelated UI/template metadata into summaries.
+    const likely = [
+      value.text,
+      value.content,
+      value.value,
+      value.summary,
+      value.brief,
+      value.transcript,
+      value.description,
+      value.markdown,
+      value.plain,
+    ];
+    return firstNonEmptyString(likely);
+  }
+  return "";
+}
+
+function firstNonEmptySegments(values) {
+  for (const v of values) {
+    const segments = normalizeSegments(v);
+    if (segments.length) return segments;
+  }
+  return [];
+}
+
+export function epochToIso(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  // Plaud list endpoints report epoch milliseconds; tolerate seconds too.
+  const d = Number.isFinite(n) ? new Date(n < 1e12 ? n * 1000 : n) : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+// Tag-like values arrive as strings, { name } objects or comma-separated text.
+function nameList(value) {
+  if (!isPresent(value)) return [];
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  const names = values
+    .map((v) => (v && typeof v === "object" ? firstNonEmptyString([v.name, v.title, v.label, v.value]) : v))
+    .filter((v) => typeof v === "string" || typeof v === "number")
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  return Array.from(new Set(names));
+}
+
+function segmentSpeakers(segments) {
+  return nameList(segments.map((s) => s?.speaker));
+}
+
+export function toRecording({
+  id,
+  title,
+  createdAt,
+  durationMs,
+  summary,
+  transcript,
+  segments,
+  sourceUrl,
+  folder,
+  tags,
+  device,
+  language,
+  speakers,
+}) {
+  const segs = Array.isArray(segments) ? segments : [];
+  const named = nameList(speakers);
+  return {
+    id: String(id),
+    title: String(title || "").trim() || "Plaud Recording",
+    createdAt: createdAt ? epochToIso(createdAt) : null,
+    summary: typeof summary === "string" ? summary.trim() : "",
+    transcript: segs.length ? segmentsToText(segs) : typeof transcript === "string" ? transcript.trim() : "",
+    segments: segs,
+    durationMs: isPresent(durationMs) && Number.isFinite(Number(durationMs)) ? Number(durationMs) : null,
+    sourceUrl: sourceUrl ? String(sourceUrl) : "",
+    folder: firstNonEmptyString([folder]) || null,
+    tags: nameList(tags),
+    device: isPresent(device) ? String(device).trim() : null,
+    language: firstNonEmptyString([language]) || null,
+    speakers: named.length ? named : segmentSpeakers(segs),
+  };
+}
+
+// Collapses ids out of a path so drift for /file/detail/abc and /file/detail/def is one entry.
+function pathTemplate(url) {
+  let pathname = String(url || "");
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    // Already a path.
+  }
+  return pathname
+    .split("/")
+    .map((part) => (/^[0-9a-f-]{8,}$/i.test(part) || /^\d+$/.test(part) ? ":id" : part))
+    .join("/");
+}
+
+export function createDriftReport() {
+  const missing = new Map();
+  const unknown = new Map();
+  const byId = new Map();
+
+  return {
+    missingField(adapter, field, id) {
+      const key = `${adapter.name}@${adapter.version}\u0000${field}`;
+      const entry = missing.get(key) || {
+        adapter: `${adapter.name}@${adapter.version}`,
+        field,
+        count: 0,
+        examples: [],
+      };
+      entry.count += 1;
+      if (id && entry.examples.length < MAX_EXAMPLES) entry.examples.push(String(id));
+      missing.set(key, entry);
+      if (id) {
+        const fields = byId.get(String(id)) || new Set();
+        fields.add(`${entry.adapter}: missing "${field}"`);
+        byId.set(String(id), fields);
+      }
+    },
+
+    unknownShape(what, url, payload) {
+      const key = `${what}\u0000${pathTemplate(url)}`;
+      const keys =
+        payload && typeof payload === "object" && !Array.isArray(payload)
+          ? Object.keys(payload).slice(0, 12)
+          : [Array.isArray(payload) ? "array" : typeof payload];
+      const entry = unknown.get(key) || { what, path: pathTemplate(url), keys, count: 0 };
+      entry.count += 1;
+      unknown.set(key, entry);
+    },
+
+    get size() {
+      return missing.size + unknown.size;
+    },
+
+    // What went missing for one recording, for the run report.
+    warningsFor(id) {
+      return Array.from(byId.get(String(id)) || []);
+    },
+
+    lines() {
+      const lines = [];
+      for (const e of missing.values()) {
+        const examples = e.examples.length ? ` (e.g. ${e.examples.join(", ")})` : "";
+        lines.push(`${e.adapter}: ${e.count} item(s) missing "${e.field}"${examples}`);
+      }
+      for (const e of unknown.values()) {
+        lines.push(`unrecognised ${e.what} at ${e.path} x${e.count} (keys: ${e.keys.join(", ") || "none"})`);
+      }
+      return lines;
+    },
+
+    print() {
+      if (!this.size) return;
+      console.log("Warning: Plaud payloads did not match the expected shapes; some fields may be blank or wrong:");
+      for (const line of this.lines()) console.log(`  - ${line}`);
+      console.log("  Run with --capture <dir> and include the (redacted) files when reporting this.");
+    },
+  };
+}
+
+const noDrift = { missingField() {}, unknownShape() {} };
+
+// Metadata that list items and detail payloads both carry. Plaud keeps folders as "file tags"
+// referenced by id; `folders` maps those ids to names when the caller has listed them. The
+// AI summary header holds keywords, which become the recording's tags.
+function plaudMetadata(item, folders) {
+  const extra = item.extra_data && typeof item.extra_data === "object" ? item.extra_data : {};
+  const header = extra.aiContentHeader && typeof extra.aiContentHeader === "object" ? extra.aiContentHeader : {};
+  const folderIds = Array.isArray(item.filetag_id_list) ? item.filetag_id_list : [];
+  return {
+    folder: firstNonEmptyString([
+      item.folder_name,
+      item.folder,
+      ...folderIds.map((folderId) => folders?.get(String(folderId))),
+    ]),
+    tags: [...nameList(item.tags ?? item.tag_list), ...nameList(header.keywords)],
+    device: firstNonEmptyString([item.device_name, item.serial_number, item.sn]),
+    language: firstNonEmptyString([extra.tranConfig?.language, header.language_code, item.language, item.lang]),
+    speakers: item.speakers ?? item.speaker_list,
+  };
+}
+
+// GET /filetag/ → { data_filetag_list: [{ id, name, icon, color }] }: the account's folders.
+export const fileTagListAdapter = {
+  name: "plaud.file-tags",
+  version: 1,
+  map(json, drift = noDrift) {
+    const folders = new Map();
+    if (!Array.isArray(json?.data_filetag_list)) {
+      drift.unknownShape("folder list", "/filetag/", json);
+      return folders;
+    }
+    for (const tag of json.data_filetag_list) {
+      const name = firstNonEmptyString([tag?.name]);
+      if (isPresent(tag?.id) && name) folders.set(String(tag.id), name);
+    }
+    return folders;
+  },
+};
+
+// GET /file/simple/web → { data_file_list: [{ id, filename, start_time, duration, filetag_id_list,
+//                                             serial_number, ... }], data_file_total }
+export const fileListAdapter = {
+  name: "plaud.file-list",
+  version: 2,
+  matches: (url, json) => Array.isArray(json?.data_file_list),
+  items: (json) => json.data_file_list,
+  map(item, drift = noDrift, folders = null) {
+    const id = item?.id ?? item?.file_id;
+    if (!isPresent(id)) {
+      drift.missingField(this, "id");
+      return null;
+    }
+    if (!isPresent(item.start_time ?? item.create_time)) drift.missingField(this, "start_time", id);
+    if (!isPresent(item.filename ?? item.file_name)) drift.missingField(this, "filename", id);
+    if (!isPresent(item.duration)) drift.missingField(this, "duration", id);
+    return toRecording({
+      id,
+      title: item.filename || item.file_name,
+      createdAt: item.start_time ?? item.create_time,
+      durationMs: item.duration,
+      ...plaudMetadata(item, folders),
+    });
+  },
+};
+
+// GET /file/detail/{id} → { data: { file_id, filename, start_time, duration, extra_data,
+//                            content_list: [{ data_type, data_link }] } }
+export const fileDetailAdapter = {
+  name: "plaud.file-detail",
+  version: 2,
+  matches: (url, json) =>
+    Boolean(json?.data && typeof json.data === "object" && (json.data.file_id || json.data.content_list)),
+  items: (json) => [json.data],
+  map(detail, drift = noDrift) {
+    const id = detail?.file_id ?? detail?.id;
+    if (!isPresent(id)) {
+      drift.missingField(this, "file_id");
+      return null;
+    }
+    if (!Array.isArray(detail.content_list)) drift.missingField(this, "content_list", id);
+    return toRecording({
+      id,
+      title: detail.filename || detail.file_name,
+      createdAt: detail.start_time ?? detail.create_time,
+      durationMs: detail.duration,
+      ...plaudMetadata(detail),
+    });
+  },
+};
+
+// Transcript body behind a "transaction" content link: [{ start_time, end_time, content, speaker }].
+export const transcriptAdapter = {
+  name: "plaud.transcript",
+  version: 1,
+  map(payload, id, drift = noDrift) {
+    if (!isPresent(payload)) return { transcript: "", segments: [] };
+    if (typeof payload === "string") return { transcript: payload.trim(), segments: [] };
+    const segments = normalizeSegments(payload);
+    if (!segments.length && (!Array.isArray(payload) || payload.length)) {
+      drift.unknownShape("transcript payload", `/transcript/${id}`, payload);
+    }
+    return { transcript: segmentsToText(segments), segments };
+  },
+};
+
+// Summary body behind an "auto_sum_note" content link: markdown, or { ai_content | markdown | content | summary }.
+export const summaryAdapter = {
+  name: "plaud.summary",
+  version: 1,
+  map(payload, id, drift = noDrift) {
+    if (!isPresent(payload)) return "";
+    if (typeof payload === "string") return payload.trim();
+    const v = payload?.ai_content ?? payload?.markdown ?? payload?.content ?? payload?.summary;
+    if (typeof v === "string") return v.trim();
+    drift.unknownShape("summary payload", `/summary/${id}`, payload);
+    return "";
+  },
+};
+
+// A listing item plus its detail payload and content bodies, as the API client fetches them.
+// `folders` is the fileTagListAdapter map, when the folder list could be read.
+export function recordingFromApi(
+  item,
+  detail = null,
+  transcript = null,
+  summary = null,
+  drift = noDrift,
+  folders = null
+) {
+  const merged = { ...(item || {}), ...(detail || {}), id: item?.id ?? detail?.file_id };
+  const base = fileListAdapter.map(merged, drift, folders);
+  if (!base) return null;
+  if (detail) fileDetailAdapter.map({ ...detail, file_id: detail.file_id ?? base.id }, drift);
+  const { transcript: text, segments } = transcriptAdapter.map(transcript, base.id, drift);
+  return toRecording({
+    ...base,
+    summary: summaryAdapter.map(summary, base.id, drift),
+    transcript: text,
+    segments,
+    speakers: plaudMetadata(merged).speakers,
+  });
+}
+
+// Arrays of recording objects under explicit keys, as older web app builds returned them.
+// The aliases below are every field name seen so far for each model field.
+export const namedRecordingsAdapter = {
+  name: "web.recordings",
+  version: 2,
+  matches: (url, json) => namedRecordingArrays(json).length > 0,
+  items: (json) => namedRecordingArrays(json).flat(),
+  map(r, drift = noDrift) {
+    const id = r.id ?? r.recordingId ?? r.recording_id ?? r.uuid ?? r._id;
+    if (!isPresent(id)) {
+      drift.missingField(this, "id");
+      return null;
+    }
+
+    const title = firstNonEmptyString([
+      r.title,
+      r.name,
+      r.recordingName,
+      r.recordingTitle,
+      r.record_title,
+      r.fileName,
+      r.filename,
+      r.subject,
+    ]);
+    if (!title) drift.missingField(this, "title", id);
+
+    const createdAt = r.createdAt ?? r.created_at ?? r.createTime ?? r.createdTime ?? r.time ?? r.date ?? null;
+    if (!isPresent(createdAt)) drift.missingField(this, "createdAt", id);
+
+    const summaryCandidates = [r.summary, r.brief, r.aiSummary, r.ai_summary, r.abstract, r.notes].map(flattenText);
+    const transcriptCandidates = [r.transcript, r.text, r.content, r.fullText, r.full_text].map(flattenText);
+    const segments = firstNonEmptySegments([
+      r.transcript,
+      r.segments,
+      r.sentences,
+      r.trans_result,
+      r.transResult,
+      r.content,
+    ]);
+
+    const rec = toRecording({
+      id,
+      title,
+      createdAt,
+      durationMs: r.duration ?? r.durationMs,
+      summary: firstNonEmptyString(summaryCandidates),
+      transcript: firstNonEmptyString(transcriptCandidates),
+      segments,
+      sourceUrl: firstNonEmptyString([r.url, r.webUrl, r.shareUrl, r.link]),
+      folder: firstNonEmptyString([r.folder, r.folderName, r.folder_name]),
+      tags: r.tags ?? r.tagList ?? r.keywords,
+      device: firstNonEmptyString([r.deviceName, r.device_name, r.device, r.serialNumber, r.serial_number]),
+      language: firstNonEmptyString([r.language, r.lang, r.languageCode]),
+      speakers: r.speakers ?? r.speakerNames,
+    });
+    if (PLAUD_DEBUG) {
+      rec._debug = {
+        rawKeys: Object.keys(r).slice(0, 40),
+        summaryLens: summaryCandidates.map((x) => (x || "").length),
+        transcriptLens: transcriptCandidates.map((x) => (x || "").length),
+      };
+    }
+    return rec;
+  },
+};
+
+function looksLikeRecordingList(arr) {
+  return Array.isArray(arr) && arr.some((r) => r && typeof r === "object" && !Array.isArray(r));
+}
+
+function namedRecordingArrays(json) {
+  const arrays = [json?.recordings, json?.data?.recordings, json?.result?.recordings];
+  if (Array.isArray(json?.data) && json.data.some((r) => r && (r.recordingId || r.recording_id || r.transcript))) {
+    arrays.push(json.data);
+  }
+  return arrays.filter(looksLikeRecordingList);
+}
+
+const PAYLOAD_ADAPTERS = [fileListAdapter, fileDetailAdapter, namedRecordingsAdapter];
+
+// Paths that serve recording data; unrecognised JSON from anywhere else (settings, user
+// profile, feature flags) is expected and not worth a drift warning.
+const RECORDING_PATHS = /\/(file|files|record|recordings|note|notes|transcript|summary)\b/i;
+
+// A list of things with ids, which is what a recording listing looks like in any shape.
+function hasIdArray(json) {
+  const values = [
+    ...Object.values(json),
+    ...(json.data && typeof json.data === "object" ? Object.values(json.data) : []),
+  ];
+  if (Array.isArray(json.data)) values.push(json.data);
+  return values.some(
+    (v) => Array.isArray(v) && v.some((r) => r && typeof r === "object" && ("id" in r || "file_id" in r)),
+  );
+}
+
+// Maps one captured or intercepted response into recordings, using the first adapter that
+// recognises it.
+export function adaptPayload(url, json, drift = noDrift) {
+  if (!json || typeof json !== "object") return [];
+  const adapter = PAYLOAD_ADAPTERS.find((a) => a.matches(url, json));
+  if (!adapter) {
+    if (RECORDING_PATHS.test(pathTemplate(url)) && hasIdArray(json)) drift.unknownShape("response", url, json);
+    return [];
+  }
+  return adapter
+    .items(json)
+    .filter((item) => item && typeof item === "object")
+    .map((item) => adapter.map(item, drift))
+    .filter(Boolean);
+}
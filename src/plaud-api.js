@@ -0,0 +1,207 @@
+// Direct HTTP client for the Plaud web API.
+//
+// These are the endpoints web.plaud.ai itself calls. They are not a documented public API,
+// so this client only moves JSON: plaud-adapters.js maps the responses, and the sync falls back
+// to the browser scrape when anything here fails.
+
+import { epochToIso } from "./plaud-adapters.js";
+
+const DEFAULT_API_BASE_URL = "https://api.plaud.ai";
+const DEFAULT_PAGE_SIZE = 50;
+
+function apiError(message, status, url) {
+  const err = new Error(message);
+  err.status = status;
+  err.url = url;
+  return err;
+}
+
+function toQueryString(query = {}) {
+  const params = new URLSearchParams();
+  for (const [k, v] of Object.entries(query)) {
+    if (v === undefined || v === null) continue;
+    params.set(k, String(v));
+  }
+  const s = params.toString();
+  return s ? `?${s}` : "";
+}
+
+async function readBody(resp) {
+  const text = await resp.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+export function createPlaudApiClient({
+  apiBaseUrl = DEFAULT_API_BASE_URL,
+  email,
+  password,
+  token = null,
+  fetchImpl = globalThis.fetch,
+  pageSize = DEFAULT_PAGE_SIZE,
+  onLogin = null,
+} = {}) {
+  let baseUrl = String(apiBaseUrl).replace(/\/$/, "");
+  let accessToken = token;
+
+  async function login() {
+    const url = `${baseUrl}/auth/access-token`;
+    const resp = await fetchImpl(url, {
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ username: email, password }).toString(),
+    });
+    const json = await readBody(resp);
+
+    // Accounts in other regions are told which API host to use instead.
+    const regionApi = json?.data?.domains?.api;
+    if (json?.status === -302 && regionApi && regionApi.replace(/\/$/, "") !== baseUrl) {
+      baseUrl = String(regionApi).replace(/\/$/, "");
+      return login();
+    }
+
+    if (!resp.ok || !json?.access_token) {
+      const detail = json?.msg || json?.message || `HTTP ${resp.status}`;
+      throw apiError(`Plaud API login failed: ${detail}`, resp.status, url);
+    }
+
+    accessToken = json.access_token;
+    if (onLogin) await onLogin({ token: accessToken, apiBaseUrl: baseUrl });
+    return accessToken;
+  }
+
+  async function request(pathname, options = {}) {
+    if (!accessToken) await login();
+    try {
+      return await send(pathname, options);
+    } catch (err) {
+      // A reused token that Plaud has expired gets exactly one fresh login.
+      if (err?.status !== 401 || !email || !password) throw err;
+      console.log("Plaud session expired. Logging in again...");
+      await login();
+      return send(pathname, options);
+    }
+  }
+
+  async function send(pathname, { method = "GET", query, body } = {}) {
+    const url = `${baseUrl}${pathname}${toQueryString(query)}`;
+    const headers = { authorization: `bearer ${accessToken}` };
+    if (body !== undefined) headers["content-type"] = "application/json";
+
+    const resp = await fetchImpl(url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const json = await readBody(resp);
+
+    if (!resp.ok) {
+      throw apiError(`Plaud API ${method} ${pathname} failed: HTTP ${resp.status}`, resp.status, url);
+    }
+    // Plaud reports application errors with HTTP 200 and a non-zero status field.
+    if (json && typeof json === "object" && typeof json.status === "number" && json.status !== 0) {
+      if (json.status === 401 || /token/i.test(String(json.msg || ""))) {
+        throw apiError(`Plaud API ${method} ${pathname} rejected the session token`, 401, url);
+      }
+      throw apiError(`Plaud API ${method} ${pathname} failed: ${json.msg || `status ${json.status}`}`, resp.status, url);
+    }
+    return json;
+  }
+
+  async function listRecordingsPage({ skip = 0, limit = pageSize } = {}) {
+    const json = await request("/file/simple/web", {
+      query: { skip, limit, is_trash: 2, sort_by: "start_time", is_desc: true },
+    });
+    const items = Array.isArray(json?.data_file_list) ? json.data_file_list : [];
+    const total = Number.isFinite(Number(json?.data_file_total)) ? Number(json.data_file_total) : null;
+    return { items, total };
+  }
+
+  // Walks every page of the listing. The list is sorted newest first, so a `since` bound
+  // lets us stop as soon as a page reaches older recordings. `complete` says whether `items`
+  // is every recording in the account (no date bounds, and as many as Plaud's own total).
+  async function listRecordings({ since = null, until = null } = {}) {
+    const all = [];
+    let skip = 0;
+    let reportedTotal = null;
+    for (;;) {
+      const { items, total } = await listRecordingsPage({ skip, limit: pageSize });
+      reportedTotal = total;
+      let reachedSince = false;
+      for (const item of items) {
+        const iso = epochToIso(item?.start_time ?? item?.create_time);
+        const t = iso ? Date.parse(iso) : null;
+        if (t !== null && until && t > until.getTime()) continue;
+        if (t !== null && since && t < since.getTime()) {
+          reachedSince = true;
+          continue;
+        }
+        all.push(item);
+      }
+      skip += items.length;
+      if (reachedSince || items.length < pageSize) break;
+      if (total !== null && skip >= total) break;
+    }
+    const complete = !since && !until && (reportedTotal === null || skip >= reportedTotal);
+    return { items: all, complete };
+  }
+
+  // The account's folders, which list items reference by id in `filetag_id_list`.
+  async function listFileTags() {
+    return request("/filetag/");
+  }
+
+  async function getRecordingDetail(id) {
+    const json = await request(`/file/detail/${encodeURIComponent(String(id))}`);
+    return json?.data || null;
+  }
+
+  // Transcript and summary bodies live behind pre-signed links listed on the detail payload.
+  async function fetchContentLink(detail, dataType) {
+    const entry = (detail?.content_list || []).find((c) => c?.data_type === dataType && c?.data_link);
+    if (!entry) return null;
+    const resp = await fetchImpl(entry.data_link);
+    if (!resp.ok) throw apiError(`Plaud content download failed: HTTP ${resp.status}`, resp.status, entry.data_link);
+    return readBody(resp);
+  }
+
+  async function getTranscript(id, detail = null) {
+    const d = detail || (await getRecordingDetail(id));
+    return fetchContentLink(d, "transaction");
+  }
+
+  async function getSummary(id, detail = null) {
+    const d = detail || (await getRecordingDetail(id));
+    return fetchContentLink(d, "auto_sum_note");
+  }
+
+  // Short-lived pre-signed link to the original audio file.
+  async function getAudioUrl(id) {
+    const json = await request(`/file/temp-url/${encodeURIComponent(String(id))}`);
+    const url = json?.temp_url || json?.data?.temp_url || null;
+    if (!url) throw apiError(`Plaud API returned no audio link for ${id}`, 404, `${baseUrl}/file/temp-url/${id}`);
+    return url;
+  }
+
+  return {
+    login,
+    request,
+    listRecordingsPage,
+    listRecordings,
+    listFileTags,
+    getRecordingDetail,
+    getTranscript,
+    getSummary,
+    getAudioUrl,
+    get token() {
+      return accessToken;
+    },
+    get apiBaseUrl() {
+      return baseUrl;
+    },
+  };
+}
@@ -0,0 +1,325 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { markdownToPropertyRichText } from "./markdown.js";
+
+// Declarative mapping from recording fields to Notion database properties.
+//
+// plaud-notion.config.json:
+//
+//   {
+//     "properties": {
+//       "Name":     { "field": "title", "type": "title" },
+//       "Date":     { "field": "createdAt", "type": "date", "transform": "date-only" },
+//       "Summary":  { "field": "summary", "type": "rich_text", "transform": "truncate", "maxLength": 1500 },
+//       "Source":   { "field": "source", "type": "url" },
+//       "Minutes":  { "field": "duration", "type": "number" },
+//       "Origin":   { "field": "source", "type": "select", "transform": "select-value", "value": "Plaud" },
+//       "Processing": { "field": "processing", "type": "select" },
+//       "Tags":     { "field": "tags", "type": "multi_select", "write": "seed" }
+//     }
+//   }
+//
+// "write" is "owned" (default: kept up to date, unless someone edits it in Notion) or "seed"
+// (only written when the page is created).
+//
+// Without a config file the mapping is inferred from the database schema, matching what the
+// sync has always written (title, Date, a summary text property and Source).
+
+export const DEFAULT_CONFIG_FILE = "plaud-notion.config.json";
+
+export const FIELDS = new Set([
+  "title",
+  "createdAt",
+  "duration",
+  "summary",
+  "tags",
+  "folder",
+  "device",
+  "language",
+  "source",
+  "transcriptLength",
+  "speakers",
+  "processing",
+]);
+
+// Plaud metadata the inferred mapping fills in when the database has a property of this name
+// and type. The first match wins for each field.
+export const METADATA_PROPERTIES = [
+  { name: "Folder", field: "folder", type: "select" },
+  { name: "Tags", field: "tags", type: "multi_select" },
+  { name: "Duration (min)", field: "duration", type: "number" },
+  { name: "Duration", field: "duration", type: "number" },
+  { name: "Language", field: "language", type: "select" },
+  { name: "Speakers", field: "speakers", type: "multi_select" },
+  { name: "Device", field: "device", type: "select" },
+];
+
+// Values of the `processing` field: how much of a recording Plaud had finished when it was written.
+export const PROCESSING_LABELS = { pending: "Pending", partial: "Partial", complete: "Complete" };
+const TYPES = new Set(["title", "rich_text", "date", "number", "select", "multi_select", "url", "checkbox"]);
+const TRANSFORMS = new Set(["truncate", "date-only", "select-value"]);
+const WRITE_MODES = new Set(["owned", "seed"]);
+const DEFAULT_MAX_LENGTH = 1900;
+// Notion takes at most 2000 characters per rich text item and 100 items per property.
+const MAX_TEXT_ITEM_CHARS = 2000;
+const MAX_TEXT_ITEMS = 100;
+
+export function resolveConfigFile(value) {
+  return path.resolve(process.cwd(), String(value || DEFAULT_CONFIG_FILE).trim());
+}
+
+export async function loadPropertyConfig(filePath, { required = false } = {}) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err?.code === "ENOENT" && !required) return null;
+    throw new Error(`Could not read config file ${filePath}: ${err?.message || err}`);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Config file ${filePath} is not valid JSON: ${err?.message || err}`);
+  }
+}
+
+function pickSummaryPropertyName(dbProperties = {}) {
+  const candidates = ["Summary", "Meeting Minutes", "Meeting Notes", "Notes"];
+  for (const name of candidates) {
+    if (dbProperties?.[name]?.type === "rich_text") return name;
+  }
+  // fallback: first rich_text property that isn't Source
+  for (const [name, meta] of Object.entries(dbProperties || {})) {
+    if (name !== "Source" && meta?.type === "rich_text") return name;
+  }
+  return null;
+}
+
+export function defaultPropertyMap(dbProperties = {}) {
+  const map = [];
+  const titleName = Object.entries(dbProperties).find(([, meta]) => meta?.type === "title")?.[0] || "Name";
+  map.push({ name: titleName, field: "title", type: "title" });
+
+  if (dbProperties.Date?.type === "date") map.push({ name: "Date", field: "createdAt", type: "date" });
+
+  const summaryName = pickSummaryPropertyName(dbProperties);
+  if (summaryName) map.push({ name: summaryName, field: "summary", type: "rich_text" });
+
+  const sourceType = dbProperties.Source?.type;
+  if (sourceType === "url" || sourceType === "rich_text") {
+    map.push({ name: "Source", field: "source", type: sourceType });
+  } else if (sourceType === "select") {
+    map.push({ name: "Source", field: "source", type: "select", transform: "select-value", value: "Plaud" });
+  }
+
+  if (dbProperties.Processing?.type === "select") map.push({ name: "Processing", field: "processing", type: "select" });
+
+  for (const entry of METADATA_PROPERTIES) {
+    if (dbProperties[entry.name]?.type !== entry.type || map.some((e) => e.field === entry.field)) continue;
+    map.push({ ...entry });
+  }
+
+  return map;
+}
+
+export function propertyMapFromConfig(config) {
+  const properties = config?.properties;
+  if (!properties || typeof properties !== "object" || Array.isArray(properties)) {
+    throw new Error('Config must have a "properties" object mapping Notion property names to fields.');
+  }
+  return Object.entries(properties).map(([name, spec]) => ({ name, ...(spec || {}) }));
+}
+
+// Returns a list of human-readable problems; an empty list means the mapping is usable.
+export function validatePropertyMap(map, dbProperties = {}) {
+  const errors = [];
+  let titles = 0;
+
+  for (const entry of map) {
+    const where = `Property "${entry.name}"`;
+    if (!FIELDS.has(entry.field)) {
+      errors.push(`${where}: unknown field "${entry.field}". Use one of: ${Array.from(FIELDS).join(", ")}`);
+    }
+    if (!TYPES.has(entry.type)) {
+      errors.push(`${where}: unknown type "${entry.type}". Use one of: ${Array.from(TYPES).join(", ")}`);
+    }
+    if (entry.transform !== undefined && !TRANSFORMS.has(entry.transform)) {
+      errors.push(`${where}: unknown transform "${entry.transform}". Use one of: ${Array.from(TRANSFORMS).join(", ")}`);
+    }
+    if (entry.transform === "select-value" && !["select", "multi_select"].includes(entry.type)) {
+      errors.push(`${where}: the select-value transform needs a select or multi_select property.`);
+    }
+    if (entry.transform === "truncate" && entry.maxLength !== undefined && !(Number(entry.maxLength) > 0)) {
+      errors.push(`${where}: maxLength must be a positive number.`);
+    }
+    if (entry.write !== undefined && !WRITE_MODES.has(entry.write)) {
+      errors.push(`${where}: unknown write "${entry.write}". Use one of: ${Array.from(WRITE_MODES).join(", ")}`);
+    }
+    if (entry.type === "title") titles += 1;
+
+    const actual = dbProperties[entry.name];
+    if (!actual) {
+      errors.push(`${where} does not exist in the Notion database.`);
+    } else if (TYPES.has(entry.type) && actual.type !== entry.type) {
+      errors.push(`${where} is a ${actual.type} in Notion, but the config says ${entry.type}.`);
+    }
+  }
+
+  if (titles !== 1) errors.push(`Exactly one property must map to the title type (found ${titles}).`);
+  return errors;
+}
+
+export function assertValidPropertyMap(map, dbProperties, source) {
+  const errors = validatePropertyMap(map, dbProperties);
+  if (errors.length) {
+    throw new Error(`Invalid property mapping in ${source}:\n  - ${errors.join("\n  - ")}`);
+  }
+}
+
+// Property used to find an existing page by Plaud id: a text or URL property fed by `source`.
+export function dedupeProperty(map) {
+  return map.find((e) => e.field === "source" && (e.type === "rich_text" || e.type === "url")) || null;
+}
+
+function selectName(value) {
+  // Notion rejects commas in select option names.
+  return String(value).replace(/,/g, " ").replace(/\s+/g, " ").trim().slice(0, 100);
+}
+
+function textValue(value, entry) {
+  const s = Array.isArray(value) ? value.join(", ") : String(value);
+  const max = entry.transform === "truncate" ? Number(entry.maxLength || DEFAULT_MAX_LENGTH) : DEFAULT_MAX_LENGTH;
+  return s.slice(0, max);
+}
+
+// Longer text (a truncate maxLength over 2000) is split over several items.
+function textItems(content) {
+  const items = [];
+  for (let i = 0; i < content.length && items.length < MAX_TEXT_ITEMS; i += MAX_TEXT_ITEM_CHARS) {
+    items.push({ type: "text", text: { content: content.slice(i, i + MAX_TEXT_ITEM_CHARS) } });
+  }
+  return items;
+}
+
+function sourceValue(source, type) {
+  if (type === "url") return source.url;
+  if (type === "rich_text" || type === "title") return `Plaud:${source.id} | ${source.url}`;
+  return "Plaud";
+}
+
+function propertyValue(entry, fields) {
+  let value = fields[entry.field];
+  if (entry.field === "source" && value) value = sourceValue(value, entry.type);
+  if (entry.transform === "select-value") value = entry.value;
+  if (value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length)) return null;
+
+  switch (entry.type) {
+    case "title":
+      return { title: textItems(textValue(value, entry)) };
+    case "rich_text":
+      if (entry.field === "summary") {
+        const max = entry.transform === "truncate" ? Number(entry.maxLength || DEFAULT_MAX_LENGTH) : DEFAULT_MAX_LENGTH;
+        return { rich_text: markdownToPropertyRichText(value, max) };
+      }
+      return { rich_text: textItems(textValue(value, entry)) };
+    case "date": {
+      const d = new Date(value);
+      if (Number.isNaN(d.getTime())) return null;
+      const iso = d.toISOString();
+      return { date: { start: entry.transform === "date-only" ? iso.slice(0, 10) : iso } };
+    }
+    case "number": {
+      const n = Number(value);
+      return Number.isFinite(n) ? { number: n } : null;
+    }
+    case "select":
+      return { select: { name: selectName(Array.isArray(value) ? value[0] : value) } };
+    case "multi_select": {
+      const names = (Array.isArray(value) ? value : [value]).map(selectName).filter(Boolean);
+      return { multi_select: Array.from(new Set(names)).map((name) => ({ name })) };
+    }
+    case "url":
+      return /^https?:\/\//i.test(String(value)) ? { url: String(value) } : null;
+    case "checkbox":
+      return { checkbox: Boolean(value) };
+    default:
+      return null;
+  }
+}
+
+export function buildPropertyValues(map, fields, { clearSummary = false } = {}) {
+  const props = {};
+  for (const entry of map) {
+    const value = propertyValue(entry, fields);
+    if (value) {
+      props[entry.name] = value;
+    } else if (entry.field === "summary" && clearSummary && entry.type === "rich_text") {
+      // Explicitly clear known-bad template noise from prior runs.
+      props[entry.name] = { rich_text: [] };
+    }
+  }
+  return props;
+}
+
+function comparableValue(value, type) {
+  switch (type) {
+    case "title":
+    case "rich_text":
+      return (value[type] || []).map((t) => t.plain_text ?? t.text?.content ?? "").join("");
+    case "date": {
+      const start = value.date?.start || "";
+      // Notion answers "…Z" writes with "…+00:00".
+      return start.includes("T") ? new Date(start).toISOString() : start;
+    }
+    case "number":
+      return value.number === null || value.number === undefined ? "" : String(value.number);
+    case "select":
+      return value.select?.name || "";
+    case "multi_select":
+      return (value.multi_select || []).map((o) => o.name).sort().join("\n");
+    case "url":
+      return value.url || "";
+    case "checkbox":
+      return String(Boolean(value.checkbox));
+    default:
+      return JSON.stringify(value[type] ?? null);
+  }
+}
+
+// Short hash of a property value as Notion returns it on a page, so the sync can tell later
+// whether the page still holds what it wrote or someone has changed it since.
+export function propertyFingerprint(value) {
+  if (!value || typeof value !== "object") return null;
+  const type = value.type || Object.keys(value).find((k) => TYPES.has(k));
+  if (!type) return null;
+  return crypto
+    .createHash("sha256")
+    .update(`${type}\u0000${comparableValue(value, type)}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// Leaves out properties of an existing page that a person changed in Notion since the sync
+// last wrote them (`lastWritten` holds fingerprints of those writes), and "seed" properties.
+// A property that already holds the value about to be written is written anyway, which
+// refreshes its fingerprint. The dedupe property is always written: it is how the page is
+// found again.
+export function protectEditedProperties(properties, page, propertyMap, lastWritten) {
+  const marker = dedupeProperty(propertyMap)?.name;
+  const kept = [];
+  const out = {};
+  for (const [name, value] of Object.entries(properties)) {
+    if (name !== marker) {
+      if (propertyMap.find((e) => e.name === name)?.write === "seed") continue;
+      const last = lastWritten?.[name];
+      const current = propertyFingerprint(page.properties?.[name]);
+      if (last && current && current !== last && current !== propertyFingerprint(value)) {
+        kept.push(name);
+        continue;
+      }
+    }
+    out[name] = value;
+  }
+  return { properties: out, kept };
+}
@@ -0,0 +1,117 @@
+// Routing of recordings to Notion databases.
+//
+// plaud-notion.config.json may list routes. The first route whose rules all match a recording
+// decides which database its page is created in, and with which property mapping:
+//
+//   "routes": [
+//     {
+//       "name": "Client calls",
+//       "database": "<database id>",
+//       "match": {
+//         "folder": "Clients",                 (any of, when an array)
+//         "tags": ["acme", "globex"],          (any of)
+//         "title": "^(call|sync)\\b",          (regular expression, case-insensitive)
+//         "minMinutes": 10,
+//         "maxMinutes": 120,
+//         "summaryKeywords": ["contract"]      (any of, case-insensitive)
+//       },
+//       "properties": { … },                   (optional; inferred from the database otherwise)
+//       "tasksDatabase": "<database id>"       (optional)
+//     }
+//   ]
+//
+// Recordings that no route matches go to NOTION_DATABASE_ID with the top-level "properties"
+// mapping: the default route. A page stays in the database it was created in, even if the
+// recording matches another route later.
+
+const MATCH_KEYS = new Set(["folder", "tags", "title", "minMinutes", "maxMinutes", "summaryKeywords"]);
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+function validateRoute(route, index) {
+  const errors = [];
+  const where = `Route ${index + 1}${route?.name ? ` ("${route.name}")` : ""}`;
+  if (!route || typeof route !== "object" || Array.isArray(route)) return [`${where} must be an object.`];
+  if (typeof route.database !== "string" || !route.database.trim()) errors.push(`${where} needs a "database" id.`);
+
+  const match = route.match;
+  if (!match || typeof match !== "object" || Array.isArray(match) || !Object.keys(match).length) {
+    errors.push(`${where} needs a "match" object with at least one rule.`);
+    return errors;
+  }
+  for (const key of Object.keys(match)) {
+    if (!MATCH_KEYS.has(key)) {
+      errors.push(`${where}: unknown match rule "${key}". Use one of: ${Array.from(MATCH_KEYS).join(", ")}`);
+    }
+  }
+  if (match.title !== undefined) {
+    try {
+      new RegExp(String(match.title), "i");
+    } catch (err) {
+      errors.push(`${where}: title is not a valid regular expression (${err.message}).`);
+    }
+  }
+  for (const key of ["minMinutes", "maxMinutes"]) {
+    if (match[key] !== undefined && !(Number(match[key]) >= 0)) errors.push(`${where}: ${key} must be a number.`);
+  }
+  if (route.properties !== undefined && (typeof route.properties !== "object" || Array.isArray(route.properties))) {
+    errors.push(`${where}: "properties" must be an object like the top-level one.`);
+  }
+  return errors;
+}
+
+// Validated routes from the config, in order. Each keeps its raw "properties" block, which the
+// caller turns into a mapping once it has the database schema.
+export function routesFromConfig(config) {
+  const routes = config?.routes;
+  if (routes === undefined) return [];
+  if (!Array.isArray(routes)) throw new Error('Config "routes" must be an array.');
+
+  const errors = routes.flatMap(validateRoute);
+  if (errors.length) throw new Error(`Invalid routes in the config:\n  - ${errors.join("\n  - ")}`);
+
+  return routes.map((route, i) => ({
+    name: String(route.name || `Route ${i + 1}`),
+    database: route.database.trim(),
+    properties: route.properties || null,
+    tasksDatabase: route.tasksDatabase || null,
+    match: {
+      folders: asList(route.match.folder),
+      tags: asList(route.match.tags),
+      title: route.match.title !== undefined ? new RegExp(String(route.match.title), "i") : null,
+      minMinutes: route.match.minMinutes !== undefined ? Number(route.match.minMinutes) : null,
+      maxMinutes: route.match.maxMinutes !== undefined ? Number(route.match.maxMinutes) : null,
+      summaryKeywords: asList(route.match.summaryKeywords),
+    },
+  }));
+}
+
+// Every rule that is set must match.
+export function matchesRoute(route, rec) {
+  const m = route.match;
+  if (m.folders.length && !m.folders.includes(String(rec.folder || "").trim().toLowerCase())) return false;
+  if (m.tags.length) {
+    const tags = asList(rec.tags);
+    if (!m.tags.some((t) => tags.includes(t))) return false;
+  }
+  if (m.title && !m.title.test(String(rec.title || ""))) return false;
+  if (m.minMinutes !== null || m.maxMinutes !== null) {
+    if (!Number.isFinite(rec.durationMs)) return false;
+    const minutes = rec.durationMs / 60000;
+    if (m.minMinutes !== null && minutes < m.minMinutes) return false;
+    if (m.maxMinutes !== null && minutes > m.maxMinutes) return false;
+  }
+  if (m.summaryKeywords.length) {
+    const summary = String(rec.summary || "").toLowerCase();
+    if (!m.summaryKeywords.some((k) => summary.includes(k))) return false;
+  }
+  return true;
+}
+
+// The first matching route, or null for the default route.
+export function routeFor(routes, rec) {
+  return routes.find((route) => matchesRoute(route, rec)) || null;
+}
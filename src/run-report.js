@@ -0,0 +1,124 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Machine-readable record of one sync run, written as JSON when SYNC_REPORT_FILE (or
+// --report) is set:
+//
+//   {
+//     "version": 1, "command": "sync", "dryRun": false, "target": "notion",
+//     "startedAt": "…", "finishedAt": "…", "durationMs": 81234,
+//     "status": "ok" | "partial" | "failed",
+//     "error": null | "message of the error that stopped the run",
+//     "timings": { "plaudMs": 61000, "writeMs": 20000 },
+//     "totals": { "total": 12, "created": 1, "updated": 2, "unchanged": 9, "lowSignal": 1, … },
+//     "warnings": ["plaud.file-list@2: 2 item(s) missing \"duration\" …"],
+//     "recordings": [
+//       { "id": "…", "title": "…", "action": "updated", "reason": "content changed",
+//         "lowSignal": false, "durationMs": 950, "warnings": [] }
+//     ]
+//   }
+//
+// `action` is one of created, updated, unchanged, skipped or failed; `lowSignal` marks
+// recordings written without a usable summary or transcript.
+
+export const REPORT_VERSION = 1;
+
+export function resolveReportFile(value) {
+  const v = String(value || "").trim();
+  return v ? path.resolve(process.cwd(), v) : null;
+}
+
+export function createRunReport({ command = "sync", dryRun = false, target = "notion" } = {}) {
+  const started = Date.now();
+  const recordings = new Map();
+  const timings = {};
+  let warnings = [];
+  let totals = null;
+  let error = null;
+  let finishedAt = null;
+
+  function entry(rec) {
+    const id = String(rec?.id || `no-id-${recordings.size + 1}`);
+    if (!recordings.has(id)) {
+      recordings.set(id, {
+        id,
+        title: rec?.title || "",
+        action: null,
+        reason: null,
+        lowSignal: false,
+        durationMs: null,
+        warnings: [],
+      });
+    }
+    return recordings.get(id);
+  }
+
+  return {
+    // Adds an extraction or write warning for one recording.
+    warn(rec, message) {
+      entry(rec).warnings.push(String(message));
+    },
+
+    lowSignal(rec) {
+      entry(rec).lowSignal = true;
+    },
+
+    record(rec, action, reason, durationMs = null) {
+      const e = entry(rec);
+      e.action = action;
+      e.reason = reason ? String(reason) : null;
+      if (durationMs !== null) e.durationMs = Math.round(durationMs);
+    },
+
+    // Times `fn` under `name` in the run timings.
+    async time(name, fn) {
+      const t = Date.now();
+      try {
+        return await fn();
+      } finally {
+        timings[`${name}Ms`] = (timings[`${name}Ms`] || 0) + (Date.now() - t);
+      }
+    },
+
+    fail(err) {
+      error = String(err?.message || err);
+    },
+
+    finish({ result = null, runWarnings = [] } = {}) {
+      totals = result;
+      warnings = runWarnings;
+      finishedAt = Date.now();
+    },
+
+    get status() {
+      const written = totals ? totals.created + totals.updated + (totals.deleted || 0) : 0;
+      if (error || (totals?.failed && !written)) return "failed";
+      if (totals?.failed || totals?.audioFailed) return "partial";
+      return "ok";
+    },
+
+    toJSON() {
+      const end = finishedAt || Date.now();
+      return {
+        version: REPORT_VERSION,
+        command,
+        dryRun,
+        target,
+        startedAt: new Date(started).toISOString(),
+        finishedAt: new Date(end).toISOString(),
+        durationMs: end - started,
+        status: this.status,
+        error,
+        timings,
+        totals,
+        warnings,
+        recordings: Array.from(recordings.values()),
+      };
+    },
+
+    async write(filePath) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, `${JSON.stringify(this.toJSON(), null, 2)}\n`, "utf8");
+    },
+  };
+}
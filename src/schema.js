@@ -0,0 +1,158 @@
+import readline from "readline/promises";
+import { METADATA_PROPERTIES, PROCESSING_LABELS, dedupeProperty, defaultPropertyMap } from "./property-map.js";
+
+// Inspects, repairs and creates the Notion database schema the sync writes to.
+
+const RECOMMENDED_SUMMARY = "Summary";
+const PROCESSING_COLORS = { pending: "yellow", partial: "blue", complete: "green" };
+
+// Schema the sync wants when there is no config file: the database's own title property,
+// Date, a summary text property, a text Source (text, not select, so pages can be found
+// again by Plaud id), a Processing select and the Plaud metadata properties.
+export function recommendedPropertyMap(dbProperties = {}) {
+  const inferred = defaultPropertyMap(dbProperties);
+  const map = [inferred.find((e) => e.type === "title") || { name: "Name", field: "title", type: "title" }];
+  map.push({ name: "Date", field: "createdAt", type: "date" });
+  map.push(inferred.find((e) => e.field === "summary") || { name: RECOMMENDED_SUMMARY, field: "summary", type: "rich_text" });
+  map.push({ name: "Source", field: "source", type: dbProperties.Source?.type === "url" ? "url" : "rich_text" });
+  map.push({ name: "Processing", field: "processing", type: "select" });
+  for (const field of ["folder", "tags", "duration", "language", "speakers"]) {
+    map.push(inferred.find((e) => e.field === field) || METADATA_PROPERTIES.find((e) => e.field === field));
+  }
+  return map;
+}
+
+export function propertySchema(entry) {
+  switch (entry.type) {
+    case "number":
+      return { number: { format: "number" } };
+    case "select":
+    case "multi_select": {
+      if (entry.field === "processing") {
+        const options = Object.entries(PROCESSING_LABELS).map(([state, name]) => ({
+          name,
+          color: PROCESSING_COLORS[state],
+        }));
+        return { [entry.type]: { options } };
+      }
+      const options = entry.transform === "select-value" && entry.value ? [{ name: String(entry.value) }] : [];
+      return { [entry.type]: { options } };
+    }
+    default:
+      return { [entry.type]: {} };
+  }
+}
+
+export function planSchemaChanges(map, dbProperties = {}) {
+  const plan = { add: [], retype: [], renameTitle: null };
+  const existingTitle = Object.entries(dbProperties).find(([, meta]) => meta?.type === "title")?.[0] || null;
+
+  for (const entry of map) {
+    const actual = dbProperties[entry.name];
+    if (entry.type === "title") {
+      // A database has exactly one title property; it can be renamed but never added or retyped.
+      if (existingTitle && existingTitle !== entry.name) plan.renameTitle = { from: existingTitle, to: entry.name };
+      continue;
+    }
+    if (!actual) plan.add.push(entry);
+    else if (actual.type !== entry.type) plan.retype.push({ ...entry, from: actual.type });
+  }
+
+  return plan;
+}
+
+export function describePlan(plan) {
+  const lines = [];
+  if (plan.renameTitle) lines.push(`rename title property "${plan.renameTitle.from}" to "${plan.renameTitle.to}"`);
+  for (const e of plan.add) lines.push(`add "${e.name}" (${e.type})`);
+  for (const e of plan.retype) {
+    lines.push(`change "${e.name}" from ${e.from} to ${e.type} (existing values in this column may be lost)`);
+  }
+  return lines;
+}
+
+export function isPlanEmpty(plan) {
+  return !plan.renameTitle && !plan.add.length && !plan.retype.length;
+}
+
+export async function applySchemaChanges(notion, databaseId, plan) {
+  const properties = {};
+  if (plan.renameTitle) properties[plan.renameTitle.from] = { name: plan.renameTitle.to };
+  for (const e of [...plan.add, ...plan.retype]) properties[e.name] = propertySchema(e);
+  if (!Object.keys(properties).length) return null;
+  return notion.databases.update({ database_id: databaseId, properties });
+}
+
+// Adds the select and multi-select options that `properties` (page property values) use but
+// the database does not have yet, and updates `dbProperties` to match. A page write can create
+// unknown options as well, but writes that introduce the same new name at the same time may
+// each create their own copy of it. Returns a "Property: options" label per property changed.
+export async function ensureSelectOptions(notion, databaseId, dbProperties, properties) {
+  const update = {};
+  const added = [];
+  for (const [name, value] of Object.entries(properties)) {
+    const meta = dbProperties[name];
+    if (meta?.type !== "select" && meta?.type !== "multi_select") continue;
+    const wanted = meta.type === "select" ? [value.select?.name] : (value.multi_select || []).map((o) => o.name);
+    const options = meta[meta.type]?.options || [];
+    const missing = Array.from(new Set(wanted.filter((n) => n && !options.some((o) => o.name === n))));
+    if (!missing.length) continue;
+    const kept = options.map((o) => (o.id ? { id: o.id, name: o.name } : { name: o.name }));
+    update[name] = { [meta.type]: { options: [...kept, ...missing.map((n) => ({ name: n }))] } };
+    added.push(`${name}: ${missing.join(", ")}`);
+  }
+  if (!Object.keys(update).length) return [];
+
+  const db = await notion.databases.update({ database_id: databaseId, properties: update });
+  for (const name of Object.keys(update)) {
+    if (db?.properties?.[name]) dbProperties[name] = db.properties[name];
+  }
+  return added;
+}
+
+export async function createDatabase(notion, parentPageId, title, map) {
+  const properties = {};
+  for (const entry of map) properties[entry.name] = propertySchema(entry);
+  return notion.databases.create({
+    parent: { type: "page_id", page_id: parentPageId },
+    title: [{ type: "text", text: { content: title } }],
+    properties,
+  });
+}
+
+export async function confirm(question, { assumeYes = false } = {}) {
+  if (assumeYes) return true;
+  if (!process.stdin.isTTY) {
+    console.log("Not running interactively; pass --yes to apply these changes.");
+    return false;
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+export function printSchemaReport(dbTitle, map, plan, validationErrors = []) {
+  console.log(`Database: ${dbTitle || "(untitled)"}`);
+
+  const changes = describePlan(plan);
+  // Missing and mistyped properties are already listed as schema changes.
+  const mappingErrors = validationErrors.filter((e) => !/does not exist|in Notion, but/.test(e));
+  if (!changes.length && !mappingErrors.length) {
+    console.log("Schema OK: every mapped property exists with the expected type.");
+  }
+  if (changes.length) {
+    console.log("Schema problems:");
+    for (const line of changes) console.log(`  - ${line}`);
+  }
+  if (mappingErrors.length) {
+    console.log("Mapping problems (fix plaud-notion.config.json):");
+    for (const line of mappingErrors) console.log(`  - ${line}`);
+  }
+  if (!dedupeProperty(map)) {
+    console.log("Warning: no text/URL property is fed by the Plaud source, so existing pages cannot be matched.");
+  }
+}
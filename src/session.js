@@ -0,0 +1,86 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Encrypted on-disk store for the Plaud login session (API token and browser cookies),
+// so runs can skip the login form until Plaud expires the session.
+
+const SESSION_VERSION = 1;
+const DEFAULT_SESSION_FILE = ".plaud-session.enc";
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(String(secret), salt, 32);
+}
+
+function encrypt(secret, data) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(secret, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), "utf8"), cipher.final()]);
+  return {
+    v: SESSION_VERSION,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: ciphertext.toString("base64"),
+  };
+}
+
+function decrypt(secret, envelope) {
+  if (envelope?.v !== SESSION_VERSION) return null;
+  const salt = Buffer.from(envelope.salt, "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(secret, salt), Buffer.from(envelope.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]);
+  return JSON.parse(plain.toString("utf8"));
+}
+
+export function resolveSessionFile(value) {
+  return path.resolve(process.cwd(), String(value || DEFAULT_SESSION_FILE).trim());
+}
+
+export function createSessionStore({ filePath, secret, enabled = true }) {
+  let current = {};
+
+  async function load() {
+    if (!enabled) return current;
+    try {
+      const raw = await fs.readFile(filePath, "utf8");
+      current = decrypt(secret, JSON.parse(raw)) || {};
+    } catch {
+      // Missing file, wrong secret or corrupt contents all mean "log in from scratch".
+      current = {};
+    }
+    return current;
+  }
+
+  async function save(patch) {
+    current = { ...current, ...patch, savedAt: new Date().toISOString() };
+    if (!enabled) return current;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(encrypt(secret, current)) + "\n", { encoding: "utf8", mode: 0o600 });
+    return current;
+  }
+
+  async function clear(keys) {
+    if (Array.isArray(keys)) {
+      const next = { ...current };
+      for (const k of keys) delete next[k];
+      current = {};
+      return save(next);
+    }
+    current = {};
+    if (!enabled) return current;
+    await fs.rm(filePath, { force: true });
+    return current;
+  }
+
+  return {
+    load,
+    save,
+    clear,
+    get data() {
+      return current;
+    },
+  };
+}
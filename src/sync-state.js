@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Per-recording sync state, stored in synced-recordings.json:
+//
+//   { "version": 2,
+//     "recordings": { "<plaudId>": { notionPageId, contentHash, lastSyncedAt, contentStatus, pendingSince } } }
+//
+// contentStatus is how far Plaud had processed the recording when it was last written
+// ("pending", "partial" or "complete"); pendingSince is when it was first written incomplete.
+// deletedInPlaudAt is set once the page of a recording deleted in Plaud was archived or flagged.
+// properties maps each Notion property name to a fingerprint of the value last written there,
+// so values edited in Notion since then can be left alone. transcriptPageId is the "Transcript"
+// sub-page the sync made when the transcript is moved out of the page (PLAUD_LONG_TRANSCRIPT=page).
+//
+// Older runs wrote a flat array of ids (or { ids: [...] }); those load as records with no
+// page id or hash, so the first run after upgrading looks each page up once and fills them in.
+
+const STATE_VERSION = 2;
+
+// Bump when the way recordings are rendered into Notion changes, so every page is rewritten once.
+const CONTENT_HASH_VERSION = 5;
+
+export function resolveStateFile(value) {
+  return path.resolve(process.cwd(), String(value || "synced-recordings.json").trim());
+}
+
+// `renderOptions` holds settings that change the page output, so changing them re-renders pages.
+export function contentHash(rec, renderOptions = {}) {
+  const payload = JSON.stringify([
+    CONTENT_HASH_VERSION,
+    String(rec?.title || ""),
+    String(rec?.createdAt || ""),
+    String(rec?.summary || ""),
+    String(rec?.transcript || ""),
+    (rec?.segments || []).map((s) => [s.speaker, s.startMs]),
+    rec?.durationMs ?? null,
+    rec?.tags || [],
+    rec?.folder || null,
+    rec?.device || null,
+    rec?.language || null,
+    rec?.speakers || [],
+    rec?._clearSummary === true,
+    renderOptions,
+  ]);
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+function migrate(parsed) {
+  const ids = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.ids) ? parsed.ids : null;
+  if (ids) {
+    const recordings = {};
+    for (const id of ids) {
+      recordings[String(id)] = { notionPageId: null, contentHash: null, lastSyncedAt: null, contentStatus: null };
+    }
+    return { recordings, migrated: true };
+  }
+
+  if (parsed && typeof parsed === "object" && parsed.recordings && typeof parsed.recordings === "object") {
+    return { recordings: { ...parsed.recordings }, migrated: false };
+  }
+
+  return { recordings: {}, migrated: false };
+}
+
+export async function loadSyncState(filePath) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch {
+    parsed = null;
+  }
+
+  const { recordings, migrated } = migrate(parsed);
+  if (migrated) console.log(`Migrating ${Object.keys(recordings).length} ids from the old sync history format.`);
+
+  return {
+    get size() {
+      return Object.keys(recordings).length;
+    },
+    ids() {
+      return Object.keys(recordings);
+    },
+    get(id) {
+      return recordings[String(id)] || null;
+    },
+    set(id, patch) {
+      const key = String(id);
+      recordings[key] = { ...(recordings[key] || {}), ...patch };
+      return recordings[key];
+    },
+    isUnchanged(rec, hash) {
+      const prior = recordings[String(rec?.id)];
+      return Boolean(prior?.notionPageId && prior.contentHash && prior.contentHash === hash);
+    },
+    // Counts for `status`: how many records have a page, per content status, deleted in Plaud,
+    // and the newest sync.
+    summary() {
+      const byStatus = {};
+      let withPage = 0;
+      let deleted = 0;
+      let lastSyncedAt = null;
+      for (const rec of Object.values(recordings)) {
+        const status = rec.contentStatus || "unknown";
+        byStatus[status] = (byStatus[status] || 0) + 1;
+        if (rec.notionPageId) withPage += 1;
+        if (rec.deletedInPlaudAt) deleted += 1;
+        if (rec.lastSyncedAt && (!lastSyncedAt || rec.lastSyncedAt > lastSyncedAt)) lastSyncedAt = rec.lastSyncedAt;
+      }
+      return { total: Object.keys(recordings).length, withPage, byStatus, deleted, lastSyncedAt };
+    },
+    async save() {
+      const sorted = {};
+      for (const id of Object.keys(recordings).sort()) sorted[id] = recordings[id];
+      const body = { version: STATE_VERSION, recordings: sorted };
+      await fs.writeFile(filePath, JSON.stringify(body, null, 2) + "\n", "utf8");
+    },
+  };
+}
@@ -0,0 +1,256 @@
+import crypto from "crypto";
+
+// Action items pulled out of Plaud summaries and written to a separate Notion tasks database.
+//
+// Items come from checkbox lines anywhere in the summary and from list items under an
+// "Action items" / "Next steps" / "To-dos" / "Tasks" heading. Each task gets a stable key
+// (recording id + normalised text) so re-syncs update instead of duplicating, and tasks that
+// someone has marked done are never touched again.
+
+const ACTION_HEADING = /^(action items?|next steps?|to-?dos?|tasks?|follow-?ups?)\b/i;
+const DONE_STATUS_NAMES = new Set(["done", "complete", "completed", "closed", "resolved"]);
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function stripInlineMarkdown(text) {
+  return String(text || "")
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, "$1")
+    .replace(/(\*\*|__|~~|`)/g, "")
+    .replace(/(^|\W)[*_](\S.*?)[*_](?=\W|$)/g, "$1$2")
+    .trim();
+}
+
+function isoDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+// Resolves "by Friday", "due 2025-06-03", "by June 3", "by 6/3" and "tomorrow" against the
+// recording date. Returns YYYY-MM-DD or null.
+export function parseDueDate(text, referenceDate) {
+  const ref = referenceDate && !Number.isNaN(new Date(referenceDate).getTime()) ? new Date(referenceDate) : new Date();
+  const t = String(text || "").toLowerCase();
+  // A date without a year is this year's unless it is before the recording's day.
+  const refDay = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate()));
+  let m;
+
+  if ((m = t.match(/\b(\d{4})-(\d{2})-(\d{2})\b/))) return `${m[1]}-${m[2]}-${m[3]}`;
+
+  if ((m = t.match(/\b(?:by|due|before|on)\s+(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+    const year = m[3] ? Number(m[3].length === 2 ? `20${m[3]}` : m[3]) : ref.getUTCFullYear();
+    const d = new Date(Date.UTC(year, Number(m[1]) - 1, Number(m[2])));
+    if (!m[3] && d < refDay) d.setUTCFullYear(year + 1);
+    return Number.isNaN(d.getTime()) ? null : isoDate(d);
+  }
+
+  const monthPattern = /\b(?:by|due|before|on)\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?/;
+  if ((m = t.match(monthPattern))) {
+    const year = m[3] ? Number(m[3]) : ref.getUTCFullYear();
+    const d = new Date(Date.UTC(year, MONTHS.indexOf(m[1]), Number(m[2])));
+    if (!m[3] && d < refDay) d.setUTCFullYear(year + 1);
+    return isoDate(d);
+  }
+
+  if (/\b(?:by|due)\s+tomorrow\b/.test(t)) {
+    return isoDate(new Date(ref.getTime() + 24 * 60 * 60 * 1000));
+  }
+
+  if ((m = t.match(/\b(?:by|due|before|on)\s+(?:next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday|end of (?:the )?week)\b/))) {
+    const target = m[1].startsWith("end of") ? 5 : WEEKDAYS.indexOf(m[1]);
+    let delta = (target - ref.getUTCDay() + 7) % 7;
+    if (delta === 0) delta = 7;
+    return isoDate(new Date(ref.getTime() + delta * 24 * 60 * 60 * 1000));
+  }
+
+  return null;
+}
+
+function parseAssignee(text) {
+  let m;
+  if ((m = text.match(/\((?:owner|assignee|assigned to)\s*:\s*([^)]+)\)/i))) return m[1].trim();
+  if ((m = text.match(/\b(?:owner|assignee|assigned to)\s*:\s*([A-Z][\w.'-]*(?:\s+[A-Z][\w.'-]*)?)/i))) return m[1].trim();
+  if ((m = text.match(/@([\w.'-]+)/))) return m[1];
+  if ((m = text.match(/^([A-Z][\w.'-]*(?:\s+[A-Z][\w.'-]*)?)\s*(?::|–|-)\s+\S/))) return m[1].trim();
+  if ((m = text.match(/^([A-Z][\w.'-]*(?:\s+(?:and|&)\s+[A-Z][\w.'-]*)?)\s+(?:to|will|should|needs to)\s+\S/))) return m[1].trim();
+  return "";
+}
+
+export function extractActionItems(summary, referenceDate = null) {
+  const items = [];
+  let inActionSection = false;
+
+  for (const raw of String(summary || "").replace(/\r\n?/g, "\n").split("\n")) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const heading = line.match(/^#{1,6}\s+(.*)$/) || line.match(/^\*\*(.+?)\*\*:?$/);
+    if (heading) {
+      inActionSection = ACTION_HEADING.test(stripInlineMarkdown(heading[1]));
+      continue;
+    }
+
+    const checkbox = line.match(/^[-*+]\s+\[( |x|X)\]\s+(.*)$/);
+    const listItem = line.match(/^(?:[-*+•]|\d+[.)])\s+(.*)$/);
+    if (!checkbox && !(inActionSection && listItem)) continue;
+
+    const quote = stripInlineMarkdown(checkbox ? checkbox[2] : listItem[1]);
+    if (!quote) continue;
+
+    items.push({
+      text: quote,
+      quote,
+      assignee: parseAssignee(quote),
+      due: parseDueDate(quote, referenceDate),
+      checked: Boolean(checkbox && checkbox[1].toLowerCase() === "x"),
+    });
+  }
+
+  return items;
+}
+
+export function taskKey(recordingId, text) {
+  const normalized = String(text || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+  return crypto.createHash("sha1").update(`${recordingId}\n${normalized}`).digest("hex").slice(0, 16);
+}
+
+function findProperty(properties, names, types) {
+  for (const name of names) {
+    if (properties[name] && types.includes(properties[name].type)) return name;
+  }
+  return null;
+}
+
+function plainText(richText) {
+  return (richText || []).map((t) => t?.plain_text ?? "").join("");
+}
+
+function normalizeId(id) {
+  return String(id || "").replace(/-/g, "");
+}
+
+function resolveTaskSchema(properties, recordingsDatabaseId) {
+  const entries = Object.entries(properties || {});
+  const title = entries.find(([, meta]) => meta?.type === "title")?.[0] || null;
+  const relation =
+    entries.find(
+      ([, meta]) =>
+        meta?.type === "relation" && normalizeId(meta.relation?.database_id) === normalizeId(recordingsDatabaseId)
+    )?.[0] || findProperty(properties, ["Recording", "Meeting", "Source Recording"], ["relation"]);
+
+  return {
+    title,
+    relation,
+    key: findProperty(properties, ["Task Key", "Plaud Task Key"], ["rich_text"]),
+    assignee: findProperty(properties, ["Assignee", "Owner", "Assigned To"], ["rich_text", "select", "multi_select"]),
+    due: findProperty(properties, ["Due", "Due Date", "Deadline"], ["date"]),
+    quote: findProperty(properties, ["Source Quote", "Quote"], ["rich_text"]),
+    done: findProperty(properties, ["Done", "Completed", "Complete", "Status"], ["checkbox", "status", "select"]),
+    types: Object.fromEntries(entries.map(([name, meta]) => [name, meta?.type])),
+  };
+}
+
+function isTaskDone(page, schema) {
+  if (!schema.done) return false;
+  const prop = page.properties?.[schema.done];
+  if (!prop) return false;
+  if (prop.type === "checkbox") return prop.checkbox === true;
+  const name = String(prop[prop.type]?.name || "").toLowerCase();
+  return DONE_STATUS_NAMES.has(name);
+}
+
+function richTextValue(content) {
+  return { rich_text: content ? [{ type: "text", text: { content: String(content).slice(0, 1900) } }] : [] };
+}
+
+function buildTaskProperties(item, key, pageId, schema) {
+  const props = {
+    [schema.title]: { title: [{ type: "text", text: { content: item.text.slice(0, 1900) } }] },
+  };
+  if (schema.relation && pageId) props[schema.relation] = { relation: [{ id: pageId }] };
+  if (schema.key) props[schema.key] = richTextValue(key);
+  if (schema.quote) props[schema.quote] = richTextValue(item.quote);
+  if (schema.due && item.due) props[schema.due] = { date: { start: item.due } };
+  if (schema.assignee && item.assignee) {
+    const type = schema.types[schema.assignee];
+    const name = item.assignee.replace(/,/g, " ").slice(0, 100);
+    if (type === "select") props[schema.assignee] = { select: { name } };
+    else if (type === "multi_select") props[schema.assignee] = { multi_select: [{ name }] };
+    else props[schema.assignee] = richTextValue(item.assignee);
+  }
+  if (item.checked && schema.done && schema.types[schema.done] === "checkbox") {
+    props[schema.done] = { checkbox: true };
+  }
+  return props;
+}
+
+async function listRecordingTasks(notion, databaseId, schema, pageId) {
+  const results = [];
+  let cursor;
+  do {
+    const resp = await notion.databases.query({
+      database_id: databaseId,
+      filter: { property: schema.relation, relation: { contains: pageId } },
+      page_size: 100,
+      start_cursor: cursor,
+    });
+    results.push(...(resp.results || []));
+    cursor = resp.has_more ? resp.next_cursor : undefined;
+  } while (cursor);
+  return results;
+}
+
+export function createTaskSync(notion, { databaseId, recordingsDatabaseId }) {
+  let schema = null;
+
+  async function init() {
+    const db = await notion.databases.retrieve({ database_id: databaseId });
+    schema = resolveTaskSchema(db.properties, recordingsDatabaseId);
+    if (!schema.title) throw new Error("The Notion tasks database has no title property.");
+    if (!schema.relation) {
+      throw new Error("The Notion tasks database needs a relation property pointing at the recordings database.");
+    }
+    if (!schema.key) {
+      console.log('Warning: tasks database has no "Task Key" text property; matching existing tasks by title.');
+    }
+    return schema;
+  }
+
+  async function syncRecordingTasks(rec, pageId) {
+    if (!schema) await init();
+
+    const items = extractActionItems(rec.summary, rec.createdAt);
+    if (!items.length || !pageId) return { created: 0, updated: 0, skipped: 0 };
+
+    const existing = new Map();
+    for (const page of await listRecordingTasks(notion, databaseId, schema, pageId)) {
+      const key = schema.key
+        ? plainText(page.properties?.[schema.key]?.rich_text)
+        : taskKey(rec.id, plainText(page.properties?.[schema.title]?.title));
+      if (key) existing.set(key, page);
+    }
+
+    const counts = { created: 0, updated: 0, skipped: 0 };
+    const seen = new Set();
+    for (const item of items) {
+      const key = taskKey(rec.id, item.text);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const properties = buildTaskProperties(item, key, pageId, schema);
+      const page = existing.get(key);
+      if (page) {
+        if (isTaskDone(page, schema)) {
+          counts.skipped += 1;
+          continue;
+        }
+        await notion.pages.update({ page_id: page.id, properties });
+        counts.updated += 1;
+      } else {
+        await notion.pages.create({ parent: { database_id: databaseId }, properties });
+        counts.created += 1;
+      }
+    }
+    return counts;
+  }
+
+  return { init, syncRecordingTasks };
+}
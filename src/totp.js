@@ -0,0 +1,82 @@
+import crypto from "crypto";
+
+// Time-based one-time passwords (RFC 6238) for accounts with two-factor sign-in.
+//
+// PLAUD_TOTP_SECRET is the key an authenticator app is set up with: either the base32 text
+// shown next to the QR code ("JBSW Y3DP …"; spaces and case do not matter) or the whole
+// otpauth://totp/… link the QR code encodes, whose digits, period and algorithm are honoured.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const ALGORITHMS = new Map([
+  ["SHA1", "sha1"],
+  ["SHA256", "sha256"],
+  ["SHA512", "sha512"],
+]);
+
+function base32Decode(text) {
+  const clean = String(text).replace(/[\s-]/g, "").replace(/=+$/, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const index = BASE32_ALPHABET.indexOf(ch);
+    if (index < 0) throw new Error(`Invalid PLAUD_TOTP_SECRET: "${ch}" is not a base32 character.`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// { key, digits, period, algorithm } from a base32 secret or an otpauth:// link.
+export function parseTotpSecret(value) {
+  const raw = String(value || "").trim();
+  let secret = raw;
+  let digits = 6;
+  let period = 30;
+  let algorithm = "sha1";
+
+  if (/^otpauth:/i.test(raw)) {
+    const url = new URL(raw);
+    if (url.host.toLowerCase() !== "totp") {
+      throw new Error("Invalid PLAUD_TOTP_SECRET: only otpauth://totp/ links work.");
+    }
+    secret = url.searchParams.get("secret") || "";
+    digits = Number(url.searchParams.get("digits") || digits);
+    period = Number(url.searchParams.get("period") || period);
+    const name = String(url.searchParams.get("algorithm") || "SHA1").toUpperCase();
+    if (!ALGORITHMS.has(name)) {
+      throw new Error(
+        `Invalid PLAUD_TOTP_SECRET algorithm "${name}". Use one of: ${Array.from(ALGORITHMS.keys()).join(", ")}`
+      );
+    }
+    algorithm = ALGORITHMS.get(name);
+  }
+
+  const key = base32Decode(secret);
+  if (key.length < 10) {
+    throw new Error("Invalid PLAUD_TOTP_SECRET: the key is too short (expected 16+ base32 characters).");
+  }
+  if (!(digits >= 6 && digits <= 10)) throw new Error(`Invalid PLAUD_TOTP_SECRET digits "${digits}".`);
+  if (!(period >= 1)) throw new Error(`Invalid PLAUD_TOTP_SECRET period "${period}".`);
+  return { key, digits, period, algorithm };
+}
+
+// The code for `time` (ms since the epoch).
+export function generateTotp(config, time = Date.now()) {
+  const counter = Math.floor(time / 1000 / config.period);
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(config.algorithm, config.key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** config.digits).padStart(config.digits, "0");
+}
+
+// Seconds until the code for `time` stops being valid.
+export function totpSecondsLeft(config, time = Date.now()) {
+  return config.period - (Math.floor(time / 1000) % config.period);
+}
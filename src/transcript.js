@@ -0,0 +1,189 @@
+// Speaker-labelled transcript segments and their Notion rendering.
+//
+// A segment is { speaker, startMs, endMs, text }. Plaud reports offsets in milliseconds;
+// other shapes seen in the wild use seconds under `start`/`begin`.
+
+const TEXT_CHUNK = 1800;
+const MAX_TOGGLE_CHILDREN = 100;
+export const TRANSCRIPT_GROUPINGS = new Set(["none", "speaker", "section"]);
+
+function toMs(value, unit) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) return null;
+  return unit === "s" ? Math.round(n * 1000) : Math.round(n);
+}
+
+function segmentStartMs(s) {
+  return (
+    toMs(s.start_time ?? s.startTime ?? s.start_ms ?? s.startMs, "ms") ??
+    toMs(s.start ?? s.begin ?? s.offset, "s")
+  );
+}
+
+function segmentEndMs(s) {
+  return toMs(s.end_time ?? s.endTime ?? s.end_ms ?? s.endMs, "ms") ?? toMs(s.end, "s");
+}
+
+export function normalizeSegments(value) {
+  if (!Array.isArray(value)) return [];
+
+  const segments = [];
+  for (const s of value) {
+    if (!s || typeof s !== "object") continue;
+    const text = String(s.content ?? s.text ?? s.sentence ?? "").trim();
+    if (!text) continue;
+    segments.push({
+      speaker: String(s.speaker ?? s.speaker_name ?? s.speakerName ?? "").trim(),
+      startMs: segmentStartMs(s),
+      endMs: segmentEndMs(s),
+      text,
+    });
+  }
+
+  // Only call it a segmented transcript if there is timing or speaker information to show.
+  return segments.some((s) => s.startMs !== null || s.speaker) ? segments : [];
+}
+
+export function segmentsToText(segments) {
+  return (segments || [])
+    .map((s) => (s.speaker ? `${s.speaker}: ${s.text}` : s.text))
+    .join("\n")
+    .trim();
+}
+
+export function formatOffset(ms) {
+  const total = Math.max(0, Math.floor((ms || 0) / 1000));
+  const minutes = Math.floor(total / 60);
+  const seconds = total % 60;
+  return `${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
+}
+
+function textRuns(content, annotations) {
+  const runs = [];
+  for (let i = 0; i < content.length; i += TEXT_CHUNK) {
+    const run = { type: "text", text: { content: content.slice(i, i + TEXT_CHUNK) } };
+    if (annotations) run.annotations = annotations;
+    runs.push(run);
+  }
+  return runs;
+}
+
+function utteranceBlock(segment, { showSpeaker = true } = {}) {
+  const richText = [];
+  if (segment.startMs !== null) {
+    richText.push({ type: "text", text: { content: `[${formatOffset(segment.startMs)}] ` }, annotations: { color: "gray" } });
+  }
+  if (showSpeaker && segment.speaker) {
+    richText.push({ type: "text", text: { content: `${segment.speaker}: ` }, annotations: { bold: true } });
+  }
+  richText.push(...textRuns(segment.text));
+  return { object: "block", type: "paragraph", paragraph: { rich_text: richText } };
+}
+
+function toggleBlocks(title, children) {
+  const toggles = [];
+  for (let i = 0; i < children.length; i += MAX_TOGGLE_CHILDREN) {
+    const suffix = i > 0 ? " (cont.)" : "";
+    toggles.push({
+      object: "block",
+      type: "toggle",
+      toggle: {
+        rich_text: [...title, ...(suffix ? [{ type: "text", text: { content: suffix } }] : [])],
+        children: children.slice(i, i + MAX_TOGGLE_CHILDREN),
+      },
+    });
+  }
+  return toggles;
+}
+
+function groupBySpeakerTurn(segments) {
+  const blocks = [];
+  let turn = [];
+  const flush = () => {
+    if (!turn.length) return;
+    const first = turn[0];
+    const title = [{ type: "text", text: { content: first.speaker || "Unknown speaker" }, annotations: { bold: true } }];
+    if (first.startMs !== null) {
+      title.push({ type: "text", text: { content: ` [${formatOffset(first.startMs)}]` }, annotations: { color: "gray" } });
+    }
+    blocks.push(...toggleBlocks(title, turn.map((s) => utteranceBlock(s, { showSpeaker: false }))));
+    turn = [];
+  };
+
+  for (const s of segments) {
+    if (turn.length && turn[0].speaker !== s.speaker) flush();
+    turn.push(s);
+  }
+  flush();
+  return blocks;
+}
+
+function groupByTimeSection(segments, sectionMinutes) {
+  const sectionMs = Math.max(1, sectionMinutes) * 60 * 1000;
+  const sections = new Map();
+  let lastStart = 0;
+  for (const s of segments) {
+    // Untimed segments stay with the section of the segment before them.
+    const start = s.startMs ?? lastStart;
+    lastStart = start;
+    const key = Math.floor(start / sectionMs);
+    if (!sections.has(key)) sections.set(key, []);
+    sections.get(key).push(s);
+  }
+
+  const blocks = [];
+  for (const [key, list] of sections) {
+    const label = `${formatOffset(key * sectionMs)} – ${formatOffset((key + 1) * sectionMs)}`;
+    blocks.push(...toggleBlocks([{ type: "text", text: { content: label } }], list.map((s) => utteranceBlock(s))));
+  }
+  return blocks;
+}
+
+export function buildSegmentBlocks(segments, { grouping = "none", sectionMinutes = 10 } = {}) {
+  if (grouping === "speaker") return groupBySpeakerTurn(segments);
+  if (grouping === "section") return groupByTimeSection(segments, sectionMinutes);
+  return segments.map((s) => utteranceBlock(s));
+}
+
+function utteranceMarkdown(segment, { showSpeaker = true } = {}) {
+  const time = segment.startMs !== null ? `\`${formatOffset(segment.startMs)}\` ` : "";
+  const speaker = showSpeaker && segment.speaker ? `**${segment.speaker}:** ` : "";
+  return `${time}${speaker}${segment.text}`;
+}
+
+// Markdown rendering of the same layouts, for file-based targets: one line per utterance,
+// with speaker turns or time sections as headings instead of toggles.
+export function segmentsToMarkdown(segments, { grouping = "none", sectionMinutes = 10 } = {}) {
+  const lines = [];
+
+  if (grouping === "speaker") {
+    let speaker;
+    for (const s of segments) {
+      if (lines.length === 0 || s.speaker !== speaker) {
+        speaker = s.speaker;
+        const at = s.startMs !== null ? ` [${formatOffset(s.startMs)}]` : "";
+        lines.push(`### ${s.speaker || "Unknown speaker"}${at}`, "");
+      }
+      lines.push(utteranceMarkdown(s, { showSpeaker: false }), "");
+    }
+  } else if (grouping === "section") {
+    const sectionMs = Math.max(1, sectionMinutes) * 60 * 1000;
+    let current = null;
+    let lastStart = 0;
+    for (const s of segments) {
+      const start = s.startMs ?? lastStart;
+      lastStart = start;
+      const key = Math.floor(start / sectionMs);
+      if (key !== current) {
+        current = key;
+        lines.push(`### ${formatOffset(key * sectionMs)} – ${formatOffset((key + 1) * sectionMs)}`, "");
+      }
+      lines.push(utteranceMarkdown(s), "");
+    }
+  } else {
+    for (const s of segments) lines.push(utteranceMarkdown(s), "");
+  }
+
+  return lines.join("\n").trim();
+}
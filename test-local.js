@@ -46,8 +46,8 @@ console.log(`   NOTION_DATABASE_ID: ${process.env.NOTION_DATABASE_ID}\n`);
 console.log('═══════════════════════════════════════\n');
 console.log('🚀 Starting sync...\n');
 
-// Import and run the main sync
-import('./src/index.js').catch(error => {
+// Import and run the CLI (arguments are passed through, e.g. `node test-local.js sync --dry-run`)
+import('./src/cli.js').catch(error => {
   console.error('\n❌ Sync failed:', error.message);
   process.exit(1);
 });
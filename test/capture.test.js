@@ -0,0 +1,63 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createCaptureRecorder, createRedactor, loadCapture, redactUrl, replayFetch } from "../src/capture.js";
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "plaud-capture-"));
+after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+test("redacts credentials, contact details and names, keeping folders readable", () => {
+  const redactor = createRedactor({ secrets: ["hunter22"] });
+  const out = redactor.redact({
+    token: "abc",
+    email: "ana@example.com",
+    phone_number: "+1 555 0100",
+    nickname: "Ana Lima",
+    name: "Clients",
+    note: "Ana Lima said the password is hunter22; mail bob@example.com",
+    speakers: [{ speaker: "Speaker 1" }, { speaker: "Ana Lima" }],
+    temp_url: "https://s3.example.com/a.json?X-Amz-Signature=deadbeef&part=1",
+  });
+
+  assert.deepEqual(out, {
+    token: "[redacted]",
+    email: "redacted@example.invalid",
+    phone_number: "[redacted]",
+    nickname: "Person 1",
+    name: "Clients",
+    note: "Person 1 said the password is [redacted]; mail redacted@example.invalid",
+    speakers: [{ speaker: "Speaker 1" }, { speaker: "Person 1" }],
+    temp_url: "https://s3.example.com/a.json?X-Amz-Signature=redacted&part=1",
+  });
+  assert.equal(redactor.redactText("Authorization: Bearer abcdefghijklmnop"), "Authorization: Bearer [redacted]");
+  assert.equal(redactUrl("not a url"), "not a url");
+});
+
+test("replays recorded responses in order, then keeps answering the last one", async () => {
+  const dir = path.join(tmp, "capture");
+  const recorder = createCaptureRecorder(dir);
+  const list = "https://api.plaud.ai/file/simple/web?skip=0&limit=50";
+  await recorder.record({ source: "api", url: list, status: 200, body: { data_file_list: [{ id: "a1" }] } });
+  await recorder.record({ source: "api", url: list, status: 200, body: { data_file_list: [] } });
+  await recorder.record({ source: "browser", url: "https://web.plaud.ai/", status: 200, body: "<html>" });
+  assert.equal(recorder.count, 3);
+
+  const fetch = replayFetch(await loadCapture(dir));
+  // Query order does not matter.
+  const again = "https://api.plaud.ai/file/simple/web?limit=50&skip=0";
+  assert.deepEqual((await (await fetch(list)).json()).data_file_list, [{ id: "a1" }]);
+  assert.deepEqual((await (await fetch(again)).json()).data_file_list, []);
+  assert.deepEqual((await (await fetch(again)).json()).data_file_list, []);
+
+  const missing = await fetch("https://api.plaud.ai/auth/access-token", { method: "POST" });
+  assert.equal(missing.status, 404);
+  assert.match((await missing.json()).msg, /not in capture: POST \/auth\/access-token/);
+});
+
+test("refuses an empty capture directory", async () => {
+  const dir = path.join(tmp, "empty");
+  await fs.mkdir(dir);
+  await assert.rejects(loadCapture(dir), /No captured responses found/);
+});
@@ -0,0 +1,59 @@
+// In-memory stand-in for the parts of @notionhq/client the body sync uses: one page's
+// top-level blocks, plus a log of every write.
+
+let nextId = 1;
+
+function textBlock(type, content) {
+  return { object: "block", type, [type]: { rich_text: [{ type: "text", text: { content }, plain_text: content }] } };
+}
+
+export const paragraph = (content) => textBlock("paragraph", content);
+export const heading = (content) => textBlock("heading_2", content);
+
+export function createFakeNotion(initialBlocks = []) {
+  const stored = (block) => ({ id: `b${nextId++}`, has_children: false, ...block });
+  let blocks = initialBlocks.map(stored);
+  const calls = { deleted: [], appended: [], updated: [] };
+
+  const notion = {
+    blocks: {
+      children: {
+        async list() {
+          return { results: blocks.slice(), has_more: false, next_cursor: null };
+        },
+        async append({ children, after }) {
+          const created = children.map(stored);
+          const at = after ? blocks.findIndex((b) => b.id === after) + 1 : blocks.length;
+          blocks.splice(at, 0, ...created);
+          calls.appended.push(children);
+          return { results: created };
+        },
+      },
+      async update({ block_id, ...body }) {
+        const block = blocks.find((b) => b.id === block_id);
+        Object.assign(block[block.type], body[block.type]);
+        calls.updated.push(block_id);
+        return block;
+      },
+      async delete({ block_id }) {
+        blocks = blocks.filter((b) => b.id !== block_id);
+        calls.deleted.push(block_id);
+        return {};
+      },
+    },
+  };
+
+  return {
+    notion,
+    calls,
+    get blocks() {
+      return blocks;
+    },
+    texts() {
+      // File blocks have no text; their caption stands in.
+      return blocks.map((b) =>
+        (b[b.type].rich_text || b[b.type].caption).map((t) => t.plain_text ?? t.text.content).join("")
+      );
+    },
+  };
+}
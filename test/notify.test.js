@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { encodeHeaderValue, notificationReason, notifyRun, readNotifySettings } from "../src/notify.js";
+
+const totals = { created: 1, updated: 0, unchanged: 3, lowSignal: 2, skipped: 0, failed: 0, audioFailed: 0 };
+const report = (fields) => ({
+  target: "notion",
+  status: "ok",
+  totals,
+  recordings: [],
+  warnings: [],
+  startedAt: "2025-06-04T10:00:00.000Z",
+  durationMs: 1000,
+  ...fields,
+});
+
+test("collapses line breaks in a header and encodes non-ASCII text", () => {
+  assert.equal(
+    encodeHeaderValue("Plaud sync failed: bad\r\nBcc: someone@example.com"),
+    "Plaud sync failed: bad Bcc: someone@example.com"
+  );
+
+  const encoded = encodeHeaderValue(`Plaud sync failed: Zugriff verweigert für „Büro“ ${"ü".repeat(40)}`);
+  assert.doesNotMatch(encoded, /[^\x20-\x7e\r\n]/);
+  const words = encoded.split("\r\n ");
+  assert.ok(words.length > 1);
+  assert.ok(words.every((w) => /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/.test(w) && w.length <= 75));
+  const decoded = words.map((w) => Buffer.from(w.slice(10, -2), "base64").toString("utf8")).join("");
+  assert.equal(decoded, `Plaud sync failed: Zugriff verweigert für „Büro“ ${"ü".repeat(40)}`);
+});
+
+test("reads notification settings from the environment", () => {
+  const settings = readNotifySettings({
+    SMTP_HOST: "smtp.example.com",
+    SMTP_SECURE: "true",
+    NOTIFY_EMAIL_TO: "a@example.com, b@example.com",
+    SMTP_USER: "sync@example.com",
+    NOTIFY_LOW_SIGNAL_THRESHOLD: "2",
+  });
+  assert.deepEqual(settings.smtp, {
+    host: "smtp.example.com",
+    port: 465,
+    secure: true,
+    user: "sync@example.com",
+    password: null,
+    from: "sync@example.com",
+    to: ["a@example.com", "b@example.com"],
+  });
+  assert.equal(settings.onFailure, true);
+  assert.equal(settings.lowSignalThreshold, 2);
+  assert.equal(
+    readNotifySettings({ SMTP_HOST: "smtp.example.com", SMTP_PORT: "587", NOTIFY_EMAIL_TO: "a@x" }).smtp.secure,
+    false
+  );
+  assert.throws(() => readNotifySettings({ SMTP_HOST: "smtp.example.com" }), /NOTIFY_EMAIL_TO is empty/);
+  assert.throws(() => readNotifySettings({ NOTIFY_LOW_SIGNAL_THRESHOLD: "0" }), /Invalid NOTIFY_LOW_SIGNAL_THRESHOLD/);
+});
+
+test("says why a run deserves a notification", () => {
+  const settings = { onFailure: true, lowSignalThreshold: null };
+  assert.equal(
+    notificationReason(report({ status: "failed", error: "login failed" }), settings),
+    "the run failed: login failed"
+  );
+  assert.equal(
+    notificationReason(report({ status: "partial", totals: { ...totals, failed: 2, audioFailed: 1 } }), settings),
+    "2 recordings failed, 1 audio downloads failed"
+  );
+  assert.equal(notificationReason(report(), settings), null);
+  assert.equal(
+    notificationReason(report(), { onFailure: false, lowSignalThreshold: 2 }),
+    "2 recordings had no usable summary or transcript"
+  );
+});
+
+test("posts the summary and report to the webhook", async () => {
+  let received = null;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received = JSON.parse(body);
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+    await notifyRun(report({ status: "failed", error: "login failed" }), {
+      onFailure: true,
+      lowSignalThreshold: null,
+      webhookUrl,
+      smtp: null,
+    });
+  } finally {
+    server.close();
+  }
+  assert.match(received.text, /^Plaud -> notion sync: the run failed: login failed\. Created 1, updated 0/);
+  assert.equal(received.report.status, "failed");
+});
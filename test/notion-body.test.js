@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { requestBatches, syncManagedSection, syncTranscriptPage, wrapManagedSection } from "../src/notion-body.js";
+import { createFakeNotion, heading, paragraph } from "./helpers/fake-notion.js";
+
+const START = "⟳ Synced from Plaud. Content between these markers is replaced on every sync.";
+const END = "⟳ End of synced Plaud content.";
+const open = () => paragraph("Open in Plaud: https://web.plaud.ai/recordings/abc");
+
+test("adopts an unmarked legacy body but keeps the notes written below it", async () => {
+  const page = createFakeNotion([
+    open(),
+    heading("Summary"),
+    paragraph("Old summary."),
+    heading("Transcript"),
+    paragraph("Old transcript."),
+    paragraph("My own note under the transcript."),
+  ]);
+  await syncManagedSection(page.notion, "page", [paragraph("New summary.")]);
+
+  assert.deepEqual(page.texts(), [START, "New summary.", END, "My own note under the transcript."]);
+});
+
+test("adopts every full-size chunk of a long legacy transcript and stops after the short one", async () => {
+  const page = createFakeNotion([
+    open(),
+    heading("Transcript"),
+    paragraph("a".repeat(1800)),
+    paragraph("b".repeat(1800)),
+    paragraph("c".repeat(20)),
+    paragraph("d".repeat(20)),
+  ]);
+  await syncManagedSection(page.notion, "page", [paragraph("New transcript.")]);
+
+  assert.deepEqual(page.texts(), [START, "New transcript.", END, "d".repeat(20)]);
+});
+
+test("leaves a legacy page's other blocks alone when it had no synced sections", async () => {
+  const page = createFakeNotion([open(), paragraph("Notes the user wrote.")]);
+  await syncManagedSection(page.notion, "page", [paragraph("Summary.")]);
+
+  assert.deepEqual(page.texts(), [START, "Summary.", END, "Notes the user wrote."]);
+});
+
+test("only replaces the changed tail between the markers", async () => {
+  const page = createFakeNotion([
+    paragraph("Above."),
+    ...wrapManagedSection([paragraph("one"), paragraph("two")]),
+    paragraph("Below."),
+  ]);
+  await syncManagedSection(page.notion, "page", [paragraph("one"), paragraph("three")]);
+
+  assert.deepEqual(page.texts(), ["Above.", START, "one", "three", END, "Below."]);
+  assert.equal(page.calls.deleted.length, 1);
+});
+
+test("prepares only the blocks it appends, so a kept file block is not uploaded again", async () => {
+  const file = (caption) => ({
+    object: "block",
+    type: "file",
+    file: { type: "file_upload", file_upload: { id: null }, caption: [{ type: "text", text: { content: caption } }] },
+  });
+  const page = createFakeNotion(wrapManagedSection([paragraph("Summary."), file("12 characters · abc")]));
+  const prepared = [];
+  const prepare = async (blocks) => prepared.push(...blocks.map((b) => b.type));
+
+  await syncManagedSection(page.notion, "page", [paragraph("Summary."), file("12 characters · abc")], prepare);
+  assert.deepEqual(prepared, []);
+  assert.equal(page.calls.appended.length, 0);
+
+  await syncManagedSection(page.notion, "page", [paragraph("Summary."), file("14 characters · def")], prepare);
+  assert.deepEqual(prepared, ["file"]);
+  assert.deepEqual(page.texts(), [START, "Summary.", "14 characters · def", END]);
+});
+
+// Pages by id, each with a parent page id; records archives and creates.
+function fakePages(pages) {
+  const calls = { archived: [], created: [], appended: [] };
+  const notion = {
+    pages: {
+      async retrieve({ page_id }) {
+        if (!pages[page_id]) throw Object.assign(new Error("Not found"), { code: "object_not_found" });
+        return { id: page_id, archived: false, parent: { type: "page_id", page_id: pages[page_id] } };
+      },
+      async update({ page_id, archived }) {
+        if (archived) calls.archived.push(page_id);
+        return { id: page_id };
+      },
+      async create({ parent }) {
+        calls.created.push(parent.page_id);
+        return { id: `sub-${calls.created.length}` };
+      },
+    },
+    blocks: {
+      children: {
+        async list() {
+          return { results: [], has_more: false, next_cursor: null };
+        },
+        async append({ block_id }) {
+          calls.appended.push(block_id);
+          return { results: [] };
+        },
+      },
+    },
+  };
+  return { notion, calls };
+}
+
+test("only archives the transcript sub-page the sync made", async () => {
+  // "mine" is a "Transcript" page the user made; the sync never stored its id.
+  const { notion, calls } = fakePages({ mine: "rec-page", synced: "rec-page" });
+  assert.equal(await syncTranscriptPage(notion, "rec-page", null), null);
+  assert.deepEqual(calls.archived, []);
+
+  assert.equal(await syncTranscriptPage(notion, "rec-page", null, "synced"), null);
+  assert.deepEqual(calls.archived, ["synced"]);
+});
+
+test("writes the transcript into the stored sub-page, or a new one", async () => {
+  const { notion, calls } = fakePages({ synced: "rec-page", elsewhere: "other-page" });
+  assert.equal(await syncTranscriptPage(notion, "rec-page", [paragraph("Text.")], "synced"), "synced");
+  assert.deepEqual(calls.appended, ["synced"]);
+  assert.deepEqual(calls.created, []);
+
+  // Without a stored id, or with one that is not under this page, a new sub-page is made.
+  assert.equal(await syncTranscriptPage(notion, "rec-page", [paragraph("Text.")]), "sub-1");
+  assert.equal(await syncTranscriptPage(notion, "rec-page", [paragraph("Text.")], "elsewhere"), "sub-2");
+  assert.equal(await syncTranscriptPage(notion, "rec-page", [paragraph("Text.")], "gone"), "sub-3");
+  assert.deepEqual(calls.created, ["rec-page", "rec-page", "rec-page"]);
+  assert.deepEqual(calls.appended, ["synced"]);
+});
+
+test("splits long sections into request-sized batches", () => {
+  const blocks = Array.from({ length: 250 }, (_, i) => paragraph(`line ${i}`));
+  assert.deepEqual(
+    requestBatches(blocks).map((b) => b.length),
+    [100, 100, 50]
+  );
+
+  const big = Array.from({ length: 10 }, () => paragraph("x".repeat(60 * 1024)));
+  assert.ok(requestBatches(big).every((batch) => Buffer.byteLength(JSON.stringify(batch)) <= 400 * 1024));
+});
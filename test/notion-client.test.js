@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createNotionClient } from "../src/notion-client.js";
+
+function httpError(status, code) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, code });
+}
+
+// A raw client whose calls fail with the queued errors first, then succeed.
+function fakeClient(failures) {
+  const calls = { create: 0, update: 0 };
+  const failing = (name, result) => async () => {
+    calls[name] += 1;
+    const err = failures[name]?.shift();
+    if (err) throw err;
+    return result;
+  };
+  return {
+    calls,
+    client: {
+      pages: { create: failing("create", { id: "page" }), update: failing("update", { id: "page" }) },
+      databases: {},
+      blocks: {},
+      users: {},
+    },
+  };
+}
+
+const options = { requestsPerSecond: 0, baseDelayMs: 1, maxDelayMs: 1 };
+
+test("does not retry a page create that may have been applied", async () => {
+  const fake = fakeClient({ create: [httpError(502, "bad_gateway")] });
+  const notion = createNotionClient({ client: fake.client, ...options });
+
+  await assert.rejects(notion.pages.create({ parent: {} }), (err) => err.status === 502);
+  assert.equal(fake.calls.create, 1);
+});
+
+test("retries a page create Notion turned away before applying it", async () => {
+  const refused = Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" });
+  const fake = fakeClient({ create: [httpError(429, "rate_limited"), refused] });
+  const notion = createNotionClient({ client: fake.client, ...options });
+
+  assert.deepEqual(await notion.pages.create({ parent: {} }), { id: "page" });
+  assert.equal(fake.calls.create, 3);
+});
+
+test("retries updates on server errors", async () => {
+  const fake = fakeClient({ update: [httpError(502, "bad_gateway"), httpError(409, "conflict_error")] });
+  const notion = createNotionClient({ client: fake.client, ...options });
+
+  assert.deepEqual(await notion.pages.update({ page_id: "page" }), { id: "page" });
+  assert.equal(fake.calls.update, 3);
+});
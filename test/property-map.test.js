@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildPropertyValues,
+  defaultPropertyMap,
+  dedupeProperty,
+  propertyFingerprint,
+  protectEditedProperties,
+  validatePropertyMap,
+} from "../src/property-map.js";
+
+const map = [
+  { name: "Name", field: "title", type: "title" },
+  { name: "Summary", field: "summary", type: "rich_text" },
+  { name: "Tags", field: "tags", type: "multi_select", write: "seed" },
+  { name: "Source", field: "source", type: "url" },
+];
+
+// A property as Notion returns it on a page.
+const pageText = (type, content) => ({ type, [type]: [{ type: "text", plain_text: content, text: { content } }] });
+const payloadText = (type, content) => ({ [type]: [{ type: "text", text: { content } }] });
+
+test("fingerprints a write payload and the page value it becomes alike", () => {
+  assert.equal(
+    propertyFingerprint(payloadText("rich_text", "Hello")),
+    propertyFingerprint(pageText("rich_text", "Hello"))
+  );
+  assert.equal(
+    propertyFingerprint({ date: { start: "2025-06-04T10:00:00.000Z" } }),
+    propertyFingerprint({ type: "date", date: { start: "2025-06-04T10:00:00.000+00:00" } })
+  );
+  assert.notEqual(
+    propertyFingerprint(payloadText("rich_text", "Hello")),
+    propertyFingerprint(payloadText("title", "Hello"))
+  );
+  assert.equal(propertyFingerprint(null), null);
+});
+
+test("keeps properties edited in Notion and skips seed properties", () => {
+  const page = { properties: { Name: pageText("title", "Renamed by hand"), Summary: pageText("rich_text", "Old") } };
+  const lastWritten = {
+    Name: propertyFingerprint(payloadText("title", "Weekly planning")),
+    Summary: propertyFingerprint(payloadText("rich_text", "Old")),
+    Source: "0000000000000000",
+  };
+  const { properties, kept } = protectEditedProperties(
+    {
+      Name: payloadText("title", "Weekly planning"),
+      Summary: payloadText("rich_text", "New"),
+      Tags: { multi_select: [{ name: "Work" }] },
+      Source: { url: "https://web.plaud.ai/recordings/a1" },
+    },
+    page,
+    map,
+    lastWritten
+  );
+  assert.deepEqual(kept, ["Name"]);
+  assert.deepEqual(Object.keys(properties), ["Summary", "Source"]);
+});
+
+test("writes a property whose Notion value already equals the new value", () => {
+  const page = { properties: { Summary: pageText("rich_text", "Same text") } };
+  const { properties, kept } = protectEditedProperties({ Summary: payloadText("rich_text", "Same text") }, page, map, {
+    Summary: propertyFingerprint(payloadText("rich_text", "Older text")),
+  });
+  assert.deepEqual(kept, []);
+  assert.deepEqual(Object.keys(properties), ["Summary"]);
+});
+
+test("builds property values from the default mapping", () => {
+  const dbProperties = {
+    Title: { type: "title" },
+    Date: { type: "date" },
+    Summary: { type: "rich_text" },
+    Source: { type: "url" },
+  };
+  const defaults = defaultPropertyMap(dbProperties);
+  assert.deepEqual(validatePropertyMap(defaults, dbProperties), []);
+  assert.equal(dedupeProperty(defaults).name, "Source");
+
+  const values = buildPropertyValues(defaults, {
+    title: "Weekly planning",
+    createdAt: "2025-06-04T10:00:00.000Z",
+    summary: "",
+    source: { id: "a1", url: "https://web.plaud.ai/recordings/a1" },
+  });
+  assert.equal(values.Title.title[0].text.content, "Weekly planning");
+  assert.equal(values.Date.date.start, "2025-06-04T10:00:00.000Z");
+  assert.equal(values.Summary, undefined);
+  assert.deepEqual(values.Source, { url: "https://web.plaud.ai/recordings/a1" });
+});
+
+test("reports unknown fields and a missing title", () => {
+  const errors = validatePropertyMap([{ name: "Notes", field: "nope", type: "rich_text" }], {
+    Notes: { type: "rich_text" },
+  });
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /unknown field "nope"/);
+  assert.match(errors[1], /Exactly one property must map to the title type/);
+});
+
+test("splits text longer than one rich text item when maxLength allows it", () => {
+  const long = [
+    { name: "Name", field: "title", type: "title", transform: "truncate", maxLength: 5000 },
+    { name: "Speakers", field: "speakers", type: "rich_text", transform: "truncate", maxLength: 4500 },
+  ];
+  const values = buildPropertyValues(long, { title: "t".repeat(6000), speakers: ["x".repeat(2100), "y".repeat(2100)] });
+  assert.deepEqual(
+    values.Name.title.map((t) => t.text.content.length),
+    [2000, 2000, 1000]
+  );
+  assert.deepEqual(
+    values.Speakers.rich_text.map((t) => t.text.content.length),
+    [2000, 2000, 202]
+  );
+});
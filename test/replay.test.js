@@ -0,0 +1,45 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Replays a capture made with a reused session (no login request in it) through the whole
+// extraction, offline.
+
+const fixture = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "capture-reused-session");
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "plaud-replay-"));
+process.env.SYNC_STATE_FILE = path.join(tmp, "state.json");
+process.env.MARKDOWN_DIR = path.join(tmp, "notes");
+
+const { listPlaudRecordings, runSync } = await import("../src/index.js");
+
+after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+test("replays a capture without a login request", async () => {
+  const rows = await listPlaudRecordings({ replay: fixture });
+  assert.deepEqual(
+    rows.map((r) => [r.id, r.date, r.title, r.content]),
+    [
+      ["a1b2c3d4e5", "2024-06-04", "Weekly planning", "complete"],
+      ["f6e5d4c3b2", "2024-06-03", "Voice memo", "pending"],
+    ]
+  );
+  assert.ok(rows[0].summaryLength > 0);
+  assert.ok(rows[0].transcriptLength > 0);
+});
+
+test("writes the replayed recordings with folder, summary and transcript", async () => {
+  const result = await runSync({ replay: fixture, target: "markdown" });
+  assert.equal(result.created, 2);
+  assert.equal(result.failed, 0);
+
+  const names = await fs.readdir(process.env.MARKDOWN_DIR);
+  const name = names.find((n) => /Weekly planning/.test(n));
+  const note = await fs.readFile(path.join(process.env.MARKDOWN_DIR, name), "utf8");
+  assert.match(note, /^plaud_id: "a1b2c3d4e5"$/m);
+  assert.match(note, /^folder: "Work"$/m);
+  assert.match(note, /Draft goes to the client on Friday/);
+  assert.match(note, /I will send the draft to the client by Friday\./);
+});
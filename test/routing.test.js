@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { routeFor, routesFromConfig } from "../src/routing.js";
+
+const routes = routesFromConfig({
+  routes: [
+    { name: "Client calls", database: "db-clients", match: { folder: "Clients", minMinutes: 10 } },
+    { name: "Contracts", database: "db-legal", match: { summaryKeywords: ["contract"], title: "^call\\b" } },
+    { database: "db-tagged", match: { tags: ["acme", "globex"] } },
+  ],
+});
+
+const rec = (fields) => ({
+  title: "Call with Acme",
+  folder: "",
+  tags: [],
+  durationMs: 30 * 60000,
+  summary: "",
+  ...fields,
+});
+
+test("sends a recording to the first route whose rules all match", () => {
+  assert.equal(routeFor(routes, rec({ folder: " clients " })).name, "Client calls");
+  assert.equal(routeFor(routes, rec({ folder: "Clients", summary: "Signed the Contract." })).name, "Client calls");
+  assert.equal(routeFor(routes, rec({ summary: "Signed the Contract." })).name, "Contracts");
+  assert.equal(routeFor(routes, rec({ tags: ["Globex"] })).name, "Route 3");
+});
+
+test("falls back to the default route when no rule set matches", () => {
+  assert.equal(routeFor(routes, rec({ folder: "Clients", durationMs: 5 * 60000 })), null);
+  assert.equal(routeFor(routes, rec({ folder: "Clients", durationMs: undefined })), null);
+  assert.equal(routeFor(routes, rec({ title: "Recap call", summary: "contract" })), null);
+  assert.equal(routeFor([], rec({})), null);
+});
+
+test("rejects routes with unknown or invalid rules", () => {
+  assert.deepEqual(routesFromConfig({}), []);
+  assert.throws(() => routesFromConfig({ routes: {} }), /must be an array/);
+  assert.throws(
+    () =>
+      routesFromConfig({
+        routes: [
+          { name: "Bad", match: { speaker: "Ana", title: "(" } },
+          { database: "db", match: {} },
+        ],
+      }),
+    (err) =>
+      /Route 1 \("Bad"\) needs a "database" id/.test(err.message) &&
+      /unknown match rule "speaker"/.test(err.message) &&
+      /title is not a valid regular expression/.test(err.message) &&
+      /Route 2 needs a "match" object/.test(err.message)
+  );
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractActionItems, parseDueDate, taskKey } from "../src/tasks.js";
+
+// Wednesday, mid-morning UTC.
+const recorded = "2025-06-04T10:00:00Z";
+
+test("a due date on the recording's own day stays in that year", () => {
+  assert.equal(parseDueDate("Send the draft by June 4", recorded), "2025-06-04");
+  assert.equal(parseDueDate("Send the draft due 6/4", recorded), "2025-06-04");
+});
+
+test("a due date before the recording's day moves to next year", () => {
+  assert.equal(parseDueDate("Renew the lease by June 3", recorded), "2026-06-03");
+  assert.equal(parseDueDate("Renew the lease by 6/3", recorded), "2026-06-03");
+  assert.equal(parseDueDate("Renew the lease by 6/3/25", recorded), "2025-06-03");
+});
+
+test("resolves explicit, relative and weekday due dates", () => {
+  assert.equal(parseDueDate("due 2025-07-01", recorded), "2025-07-01");
+  assert.equal(parseDueDate("Ship it by Dec 1st, 2025", recorded), "2025-12-01");
+  assert.equal(parseDueDate("Call back by tomorrow", recorded), "2025-06-05");
+  assert.equal(parseDueDate("Send it by Friday", recorded), "2025-06-06");
+  assert.equal(parseDueDate("Review on Wednesday", recorded), "2025-06-11");
+  assert.equal(parseDueDate("Someday", recorded), null);
+});
+
+test("extracts checkbox lines and items under an action heading", () => {
+  const summary = [
+    "## Overview",
+    "- Discussed the launch plan",
+    "- [x] Ana: book the venue",
+    "## Next steps",
+    "1. **Sam** will send the draft to the client by Friday",
+    "- Follow up with legal (owner: Priya)",
+  ].join("\n");
+
+  assert.deepEqual(
+    extractActionItems(summary, recorded).map((i) => [i.text, i.assignee, i.due, i.checked]),
+    [
+      ["Ana: book the venue", "Ana", null, true],
+      ["Sam will send the draft to the client by Friday", "Sam", "2025-06-06", false],
+      ["Follow up with legal (owner: Priya)", "Priya", null, false],
+    ]
+  );
+});
+
+test("task keys ignore case and punctuation", () => {
+  assert.equal(taskKey("a1", "Send the draft!"), taskKey("a1", "send the  draft"));
+  assert.notEqual(taskKey("a1", "Send the draft"), taskKey("b2", "Send the draft"));
+});
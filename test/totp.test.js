@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateTotp, parseTotpSecret, totpSecondsLeft } from "../src/totp.js";
+
+// The test vectors from RFC 6238, appendix B (keys "1234567890…" in base32).
+const SHA1_KEY = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const SHA256_KEY = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA====";
+
+test("matches the RFC 6238 test vectors", () => {
+  const sha1 = parseTotpSecret(`otpauth://totp/Plaud:ana?secret=${SHA1_KEY}&digits=8`);
+  assert.equal(generateTotp(sha1, 59 * 1000), "94287082");
+  assert.equal(generateTotp(sha1, 1111111109 * 1000), "07081804");
+  assert.equal(generateTotp(sha1, 1234567890 * 1000), "89005924");
+
+  const sha256 = parseTotpSecret(`otpauth://totp/Plaud?secret=${SHA256_KEY}&digits=8&algorithm=SHA256`);
+  assert.equal(generateTotp(sha256, 59 * 1000), "46119246");
+  assert.equal(generateTotp(sha256, 1234567890 * 1000), "91819424");
+});
+
+test("reads a bare base32 secret with spaces and lower case", () => {
+  const config = parseTotpSecret(SHA1_KEY.toLowerCase().replace(/(.{4})/g, "$1 "));
+  assert.deepEqual(
+    { digits: config.digits, period: config.period, algorithm: config.algorithm },
+    { digits: 6, period: 30, algorithm: "sha1" }
+  );
+  assert.equal(generateTotp(config, 59 * 1000), "287082");
+  assert.equal(totpSecondsLeft(config, 59 * 1000), 1);
+  assert.equal(totpSecondsLeft(config, 60 * 1000), 30);
+});
+
+test("rejects secrets it cannot use", () => {
+  assert.throws(() => parseTotpSecret("JBSW Y3DP 1"), /"1" is not a base32 character/);
+  assert.throws(() => parseTotpSecret("JBSWY3DP"), /the key is too short/);
+  assert.throws(() => parseTotpSecret(`otpauth://hotp/Plaud?secret=${SHA1_KEY}`), /only otpauth:\/\/totp\/ links/);
+  assert.throws(() => parseTotpSecret(`otpauth://totp/Plaud?secret=${SHA1_KEY}&algorithm=MD5`), /algorithm "MD5"/);
+  assert.throws(() => parseTotpSecret(`otpauth://totp/Plaud?secret=${SHA1_KEY}&digits=4`), /digits "4"/);
+});